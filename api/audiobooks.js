@@ -0,0 +1,30 @@
+import { credentialsFromHeaders, spotifyGet } from '../lib/spotify.js';
+
+const MAX_IDS = 50;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const ids = String(req.query.ids || '').split(',').filter(Boolean);
+  if (ids.length === 0 || ids.length > MAX_IDS) {
+    return res.status(400).json({ error: `Provide between 1 and ${MAX_IDS} ids` });
+  }
+
+  const credentials = credentialsFromHeaders(req.headers);
+  if (!credentials) {
+    return res.status(401).json({ error: 'No Spotify credentials configured' });
+  }
+
+  const query = { ids: ids.join(',') };
+  if (req.query.market) query.market = req.query.market;
+
+  try {
+    const data = await spotifyGet('/audiobooks', query, credentials);
+    return res.status(200).json(data);
+  } catch (error) {
+    if (error.retryAfter !== undefined) res.setHeader('Retry-After', String(error.retryAfter));
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
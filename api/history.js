@@ -0,0 +1,33 @@
+import { listSnapshots, saveSnapshots } from '../lib/history-store.js';
+
+const asList = (value) => {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const snapshots = await listSnapshots({
+        keywords: asList(req.query.keyword),
+        market: req.query.market
+      });
+      return res.status(200).json({ snapshots });
+    }
+
+    if (req.method === 'POST') {
+      const { snapshots, runId } = req.body || {};
+
+      if (!Array.isArray(snapshots) || snapshots.length === 0) {
+        return res.status(400).json({ error: 'Missing snapshots' });
+      }
+
+      const result = await saveSnapshots(snapshots, runId);
+      return res.status(201).json(result);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,37 @@
+import { listProjects, getProject, saveProject, deleteProject } from '../lib/project-store.js';
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      if (req.query.id) {
+        const project = await getProject(req.query.id);
+        return project
+          ? res.status(200).json({ project })
+          : res.status(404).json({ error: 'Project not found' });
+      }
+      return res.status(200).json({ projects: await listProjects() });
+    }
+
+    if (req.method === 'POST') {
+      if (!req.body || !req.body.name || !String(req.body.name).trim()) {
+        return res.status(400).json({ error: 'Missing project name' });
+      }
+      if (req.body.keywords !== undefined && !Array.isArray(req.body.keywords)) {
+        return res.status(400).json({ error: 'keywords must be an array' });
+      }
+      const project = await saveProject(req.body);
+      return res.status(201).json({ project });
+    }
+
+    if (req.method === 'DELETE') {
+      const removed = await deleteProject(req.query.id);
+      return removed
+        ? res.status(200).json({ deleted: req.query.id })
+        : res.status(404).json({ error: 'Project not found' });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
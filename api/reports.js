@@ -0,0 +1,45 @@
+import { createReport, getReport, deleteReport, MAX_EXPIRY_DAYS } from '../lib/report-store.js';
+
+// Omitted or 0 means the report never expires.
+const isExpiry = (days) => days === undefined || days === null || days === 0
+  || (typeof days === 'number' && days > 0 && days <= MAX_EXPIRY_DAYS);
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const report = req.query.id ? await getReport(req.query.id) : null;
+      return report
+        ? res.status(200).json({ report })
+        : res.status(404).json({ error: 'Report not found or expired' });
+    }
+
+    if (req.method === 'POST') {
+      const { run, expiresInDays } = req.body || {};
+      if (!run || !Array.isArray(run.results) || run.results.length === 0) {
+        return res.status(400).json({ error: 'Missing run results' });
+      }
+      if (!isExpiry(expiresInDays)) {
+        return res.status(400).json({ error: `expiresInDays must be 0 (never) or a number of days up to ${MAX_EXPIRY_DAYS}` });
+      }
+      const report = await createReport(run, { expiresInDays });
+      return res.status(201).json({
+        id: report.id,
+        url: `/reports/${report.id}`,
+        expiresAt: report.expiresAt,
+        deleteToken: report.deleteToken
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const result = await deleteReport(req.query.id, req.query.token);
+      if (result === 'forbidden') return res.status(403).json({ error: 'Invalid delete token' });
+      return result === 'deleted'
+        ? res.status(200).json({ deleted: req.query.id })
+        : res.status(404).json({ error: 'Report not found' });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,176 @@
+import { credentialsFromHeaders } from '../lib/spotify.js';
+import { buildJobs, parseKeywordList } from '../lib/research.js';
+import { dedupeKeywords } from '../lib/projects.js';
+import { MARKETS } from '../lib/markets.js';
+import { checkCallbackUrl } from '../lib/callback-url.js';
+import { BUILT_IN_PRESETS } from '../lib/scoring.js';
+import { findPreset, sanitizePreset } from '../lib/preset-store.js';
+import { createResearchJob, startResearchJob, getJob, controlJob, jobView, isClaimable, streamResearchJob } from '../lib/research-jobs.js';
+
+const MAX_JOBS = 2000;
+const CONTROL_ACTIONS = ['pause', 'resume', 'cancel'];
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value);
+  return Number.isInteger(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+const jobLinks = (id) => ({
+  status: `/api/research?id=${id}`,
+  events: `/api/research?id=${id}&stream=1`
+});
+
+const isMarket = (code) => MARKETS.some(m => m.code === code);
+
+const isKeyword = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Either an explicit keyword × market list (`jobs`) or `keywords`, as an
+// array or newline-separated text, crossed with `markets`.
+function readJobs({ jobs, keywords, markets = [] }) {
+  if (Array.isArray(jobs)) {
+    return jobs.map(job => ({ keyword: job.keyword.trim(), market: job.market || null }));
+  }
+  const list = Array.isArray(keywords) ? keywords : parseKeywordList(keywords || '');
+  return buildJobs(dedupeKeywords(list).map(entry => entry.keyword), markets);
+}
+
+// Imported demand as `{ keyword, volume, market? }` records; null when any
+// record is malformed, since one bad volume would skew every other score.
+function readDemand(demand) {
+  if (demand === undefined) return [];
+  if (!Array.isArray(demand)) return null;
+  const valid = demand.every(record => record
+    && isKeyword(record.keyword)
+    && typeof record.volume === 'number' && Number.isFinite(record.volume)
+    && (record.market === undefined || record.market === null || typeof record.market === 'string'));
+  if (!valid) return null;
+  return demand.map(({ keyword, volume, market }) => ({ keyword: keyword.trim(), volume, market: market || null }));
+}
+
+// A posted model goes through the same cleanup as saved presets; it still
+// needs tiers, and a weighted model needs at least one weighted input.
+function readModel(scoringModel) {
+  if (typeof scoringModel !== 'object' || scoringModel === null || Array.isArray(scoringModel)) return null;
+  const model = sanitizePreset({ name: 'Custom', ...scoringModel });
+  if (model.tiers.length === 0) return null;
+  if (model.formula === 'weighted' && !model.inputs.some(input => input.weight > 0)) return null;
+  return model;
+}
+
+// Server-Sent Events: a snapshot of the job so far, then one `result` event
+// per keyword, `status` changes, and a final `done` before the stream closes.
+// A stale job is resumed inside this request, so it needs Spotify credentials
+// the same way POST does. Clients should reconnect when the stream ends
+// without `done`; a job whose runner was cut off resumes where it stopped.
+async function streamJob(req, res, job) {
+  const credentials = credentialsFromHeaders(req.headers);
+  if (!credentials && isClaimable(job)) {
+    return res.status(401).json({ error: 'No Spotify credentials configured' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // The stream stops when its client goes away; the job carries on.
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  await streamResearchJob(job.id, credentials, (event, data) => {
+    if (!res.writableEnded && !res.destroyed) send(event, data);
+  }, { signal: controller.signal });
+  res.end();
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const job = req.query.id ? await getJob(req.query.id) : null;
+      if (!job) return res.status(404).json({ error: 'Research job not found' });
+      if (req.query.stream) {
+        await streamJob(req, res, job);
+        return;
+      }
+      return res.status(200).json({ job: jobView(job), links: jobLinks(job.id) });
+    }
+
+    if (req.method === 'POST') {
+      const body = req.body || {};
+      const credentials = credentialsFromHeaders(req.headers);
+      if (!credentials) {
+        return res.status(401).json({ error: 'No Spotify credentials configured' });
+      }
+
+      if (body.markets !== undefined && !Array.isArray(body.markets)) {
+        return res.status(400).json({ error: 'markets must be an array of market codes' });
+      }
+      if (body.jobs !== undefined && !(Array.isArray(body.jobs) && body.jobs.every(job => job && isKeyword(job.keyword)))) {
+        return res.status(400).json({ error: 'jobs must be an array of { keyword, market }' });
+      }
+      if (body.jobs === undefined && Array.isArray(body.keywords) && !body.keywords.every(isKeyword)) {
+        return res.status(400).json({ error: 'keywords must be non-empty strings' });
+      }
+      const demandRecords = readDemand(body.demand);
+      if (!demandRecords) {
+        return res.status(400).json({ error: 'demand must be an array of { keyword, volume, market } with numeric volumes' });
+      }
+
+      const jobs = readJobs(body);
+      if (jobs.length === 0) return res.status(400).json({ error: 'Missing keywords' });
+      const unknown = [...new Set([...(body.markets || []), ...jobs.map(job => job.market)])]
+        .filter(code => code !== null && !isMarket(code));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown market: ${unknown.join(', ')}` });
+      }
+      if (jobs.length > MAX_JOBS) {
+        return res.status(400).json({ error: `Too many keyword × market combinations (max ${MAX_JOBS})` });
+      }
+
+      const customModel = body.scoringModel !== undefined;
+      const model = customModel ? readModel(body.scoringModel) : await findPreset(body.preset || BUILT_IN_PRESETS[0].name);
+      if (!model) {
+        return res.status(400).json({ error: customModel ? 'Invalid scoringModel' : `Unknown scoring preset "${body.preset}"` });
+      }
+
+      const callbackError = body.callbackUrl ? await checkCallbackUrl(body.callbackUrl) : null;
+      if (callbackError) return res.status(400).json({ error: callbackError });
+
+      const job = await createResearchJob({
+        jobs,
+        model,
+        demandRecords,
+        demandLabel: body.demandLabel,
+        baseline: body.baseline,
+        useHistory: body.useHistory !== false,
+        saveHistory: body.saveHistory !== false,
+        concurrency: clamp(body.concurrency, 1, 10, 3),
+        deepSearch: Boolean(body.deepSearch),
+        maxPages: clamp(body.maxPages, 1, 20, 4),
+        callbackUrl: body.callbackUrl
+      });
+      // The job runs in the background from here, so clients that only poll
+      // or wait for the callback get results too.
+      const started = await startResearchJob(job.id, credentials);
+
+      return res.status(202).json({ id: job.id, status: started ? 'running' : job.status, total: jobs.length, links: jobLinks(job.id) });
+    }
+
+    if (req.method === 'PATCH') {
+      const { action } = req.body || {};
+      if (!CONTROL_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action must be one of ${CONTROL_ACTIONS.join(', ')}` });
+      }
+      const result = await controlJob(req.query.id, action);
+      if (result === 'missing') return res.status(404).json({ error: 'Research job not found' });
+      if (result === 'finished') return res.status(409).json({ error: 'Research job has already finished' });
+      return res.status(200).json({ id: req.query.id, action });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,31 @@
+import { isReservedName, listPresets, savePreset, deletePreset } from '../lib/preset-store.js';
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ presets: await listPresets() });
+    }
+
+    if (req.method === 'POST') {
+      if (!req.body || !req.body.name) {
+        return res.status(400).json({ error: 'Missing preset name' });
+      }
+      if (isReservedName(req.body.name)) {
+        return res.status(400).json({ error: 'Built-in presets cannot be overwritten' });
+      }
+      const preset = await savePreset(req.body);
+      return res.status(201).json({ preset });
+    }
+
+    if (req.method === 'DELETE') {
+      const removed = await deletePreset(req.query.name);
+      return removed
+        ? res.status(200).json({ deleted: req.query.name })
+        : res.status(404).json({ error: 'Preset not found' });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,32 @@
+import { credentialsFromHeaders, spotifyGet } from '../lib/spotify.js';
+
+// The proxy only runs audiobook searches, whatever `type` the caller asks for.
+const FORWARDED_PARAMS = ['q', 'limit', 'offset', 'market', 'include_external'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!req.query.q) {
+    return res.status(400).json({ error: 'Missing query' });
+  }
+
+  const credentials = credentialsFromHeaders(req.headers);
+  if (!credentials) {
+    return res.status(401).json({ error: 'No Spotify credentials configured' });
+  }
+
+  const query = { type: 'audiobook' };
+  FORWARDED_PARAMS.forEach(param => {
+    if (req.query[param] !== undefined) query[param] = req.query[param];
+  });
+
+  try {
+    const data = await spotifyGet('/search', query, credentials);
+    return res.status(200).json(data);
+  } catch (error) {
+    if (error.retryAfter !== undefined) res.setHeader('Retry-After', String(error.retryAfter));
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+}
@@ -1,4 +1,20 @@
+import { getAccessToken, resolveCredentials } from '../lib/spotify.js';
+
 export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    const credentials = resolveCredentials();
+    if (!credentials) {
+      return res.status(200).json({ configured: false });
+    }
+
+    try {
+      const { expiresAt } = await getAccessToken(credentials);
+      return res.status(200).json({ configured: true, expires_in: Math.round((expiresAt - Date.now()) / 1000) });
+    } catch (error) {
+      return res.status(200).json({ configured: true, error: error.message });
+    }
+  }
+
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -10,21 +26,9 @@ export default async function handler(req, res) {
   }
 
   try {
-    const response = await fetch('https://accounts.spotify.com/api/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      body: `grant_type=client_credentials&client_id=${encodeURIComponent(clientId)}&client_secret=${encodeURIComponent(clientSecret)}`
-    });
-
-    if (!response.ok) {
-      return res.status(response.status).json({ error: 'Spotify auth failed' });
-    }
-
-    const data = await response.json();
-    return res.status(200).json(data);
+    const { expiresAt } = await getAccessToken({ clientId, clientSecret }, { force: true });
+    return res.status(200).json({ expires_in: Math.round((expiresAt - Date.now()) / 1000) });
   } catch (error) {
-    return res.status(500).json({ error: error.message });
+    return res.status(error.status || 500).json({ error: error.message });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,89 @@
+'use client';
+
+import React from 'react';
+
+const HEATMAP_LIMIT = 40;
+
+const heatColor = (similarity) => (similarity === null
+  ? '#0f172a'
+  : `rgba(192, 132, 252, ${Math.max(0.08, similarity)})`);
+
+export default function KeywordClusters({ overlap, clusters, threshold, onThresholdChange, onSelect }) {
+  const grouped = clusters.filter(cluster => cluster.members.length > 1);
+  const ordered = clusters.flatMap(cluster => cluster.members).slice(0, HEATMAP_LIMIT);
+
+  const similarity = new Map();
+  overlap.pairs.forEach(pair => {
+    similarity.set(`${pair.a}|${pair.b}`, pair.similarity);
+    similarity.set(`${pair.b}|${pair.a}`, pair.similarity);
+  });
+  const cellValue = (a, b) => (a === b ? 1 : similarity.get(`${a}|${b}`) ?? null);
+
+  return (
+    <div style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '24px', border: '1px solid #334155' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', gap: '12px' }}>
+        <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#fff' }}>Keyword Overlap</h3>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', color: '#cbd5e1' }}>
+          Cluster at ≥ {Math.round(threshold * 100)}% shared
+          <input
+            type="range"
+            min={0.1}
+            max={0.9}
+            step={0.05}
+            value={threshold}
+            onChange={(e) => onThresholdChange(Number(e.target.value))}
+            style={{ padding: 0 }}
+          />
+        </label>
+      </div>
+
+      {grouped.length === 0 ? (
+        <p style={{ color: '#94a3b8', fontSize: '14px', marginBottom: '16px' }}>No keywords share enough audiobooks to form a cluster.</p>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '16px' }}>
+          {grouped.map(cluster => (
+            <div key={cluster.representative} style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center', fontSize: '13px' }}>
+              {cluster.members.map(member => (
+                <button
+                  key={member}
+                  onClick={() => onSelect(member)}
+                  style={{ padding: '2px 8px', borderRadius: '4px', border: 'none', cursor: 'pointer', backgroundColor: member === cluster.representative ? '#7e22ce' : '#334155', color: '#fff' }}
+                  title={member === cluster.representative ? 'Representative (highest score)' : undefined}
+                >
+                  {member}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {ordered.length > 1 && (
+        <div style={{ overflowX: 'auto' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: `160px repeat(${ordered.length}, 14px)`, gap: '1px', fontSize: '11px', color: '#94a3b8' }}>
+            {ordered.map(row => (
+              <React.Fragment key={row}>
+                <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', paddingRight: '6px', lineHeight: '14px' }} title={row}>{row}</div>
+                {ordered.map(column => {
+                  const value = cellValue(row, column);
+                  return (
+                    <div
+                      key={column}
+                      title={`${row} × ${column}: ${value === null ? 0 : Math.round(value * 100)}%`}
+                      style={{ width: '14px', height: '14px', backgroundColor: heatColor(value) }}
+                    />
+                  );
+                })}
+              </React.Fragment>
+            ))}
+          </div>
+          {overlap.keys.length > HEATMAP_LIMIT && (
+            <p style={{ fontSize: '12px', color: '#64748b', marginTop: '8px' }}>
+              Heatmap shows the first {HEATMAP_LIMIT} of {overlap.keys.length} keywords, largest clusters first.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+'use client';
+
+import React, { useState } from 'react';
+import { X, ExternalLink, ArrowUp, ArrowDown } from 'lucide-react';
+
+const COLUMNS = [
+  { key: 'name', label: 'Title' },
+  { key: 'authors', label: 'Authors' },
+  { key: 'narrators', label: 'Narrators' },
+  { key: 'publisher', label: 'Publisher' },
+  { key: 'releaseDate', label: 'Released' },
+  { key: 'totalChapters', label: 'Chapters', numeric: true },
+  { key: 'durationMinutes', label: 'Length (min)', numeric: true }
+];
+
+const sortValue = (book, key) => {
+  const value = book[key];
+  return Array.isArray(value) ? value.join(', ').toLowerCase() : (typeof value === 'string' ? value.toLowerCase() : value);
+};
+
+export default function KeywordDetailPanel({ result, onClose }) {
+  const [sort, setSort] = useState({ key: null, direction: 1 });
+
+  const books = [...(result.books || [])];
+  if (sort.key) {
+    books.sort((a, b) => {
+      const av = sortValue(a, sort.key);
+      const bv = sortValue(b, sort.key);
+      if (av === bv) return 0;
+      if (av === null || av === undefined || av === '') return 1;
+      if (bv === null || bv === undefined || bv === '') return -1;
+      return (av > bv ? 1 : -1) * sort.direction;
+    });
+  }
+
+  const toggleSort = (key) => setSort(sort.key === key
+    ? { key, direction: -sort.direction }
+    : { key, direction: 1 });
+
+  return (
+    <div
+      onClick={onClose}
+      style={{ position: 'fixed', inset: 0, backgroundColor: 'rgba(15, 23, 42, 0.8)', display: 'flex', justifyContent: 'flex-end', zIndex: 50 }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{ width: 'min(960px, 100%)', height: '100%', overflowY: 'auto', backgroundColor: '#1e293b', borderLeft: '1px solid #334155', padding: '24px' }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+          <div>
+            <h3 style={{ fontSize: '20px', fontWeight: '600', color: '#fff' }}>
+              {result.keyword}
+              {result.market && <span style={{ marginLeft: '8px', fontSize: '14px', color: '#94a3b8' }}>{result.market}</span>}
+            </h3>
+            <p style={{ fontSize: '14px', color: '#94a3b8' }}>
+              {books.length} of {result.audiobooks} audiobooks loaded
+            </p>
+          </div>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8' }} title="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '1px solid #334155' }}>
+                <th style={{ padding: '12px 8px' }} />
+                {COLUMNS.map(column => (
+                  <th
+                    key={column.key}
+                    onClick={() => toggleSort(column.key)}
+                    style={{ textAlign: column.numeric ? 'right' : 'left', padding: '12px 8px', color: '#cbd5e1', fontWeight: '500', cursor: 'pointer', whiteSpace: 'nowrap' }}
+                  >
+                    {column.label}
+                    {sort.key === column.key && (sort.direction > 0 ? <ArrowUp size={12} style={{ marginLeft: '4px' }} /> : <ArrowDown size={12} style={{ marginLeft: '4px' }} />)}
+                  </th>
+                ))}
+                <th style={{ padding: '12px 8px' }} />
+              </tr>
+            </thead>
+            <tbody>
+              {books.map(book => (
+                <tr key={book.id} style={{ borderBottom: '1px solid #334155' }}>
+                  <td style={{ padding: '8px' }}>
+                    {book.cover && <img src={book.cover} alt="" width={40} height={40} style={{ borderRadius: '4px', display: 'block' }} />}
+                  </td>
+                  <td style={{ padding: '8px', color: '#fff' }}>{book.name}</td>
+                  <td style={{ padding: '8px', color: '#cbd5e1' }}>{book.authors.join(', ')}</td>
+                  <td style={{ padding: '8px', color: '#cbd5e1' }}>{book.narrators.join(', ')}</td>
+                  <td style={{ padding: '8px', color: '#cbd5e1' }}>{book.publisher}</td>
+                  <td style={{ padding: '8px', color: '#cbd5e1', whiteSpace: 'nowrap' }}>{book.releaseDate || '-'}</td>
+                  <td style={{ padding: '8px', color: '#cbd5e1', textAlign: 'right' }}>{book.totalChapters ?? '-'}</td>
+                  <td style={{ padding: '8px', color: '#cbd5e1', textAlign: 'right' }}>{book.durationMinutes ?? '-'}</td>
+                  <td style={{ padding: '8px' }}>
+                    {book.url && (
+                      <a href={book.url} target="_blank" rel="noreferrer" title="Open in Spotify" style={{ color: '#4ade80' }}>
+                        <ExternalLink size={16} />
+                      </a>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {books.length === 0 && (
+          <p style={{ color: '#94a3b8', textAlign: 'center', padding: '48px' }}>No audiobooks were returned for this keyword</p>
+        )}
+        {books.length > 0 && books.every(book => !book.releaseDate) && (
+          <p style={{ fontSize: '12px', color: '#64748b', marginTop: '12px' }}>
+            Release dates and lengths need deep analysis, which loads the full audiobook objects.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
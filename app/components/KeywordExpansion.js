@@ -0,0 +1,68 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Sparkles, Plus } from 'lucide-react';
+
+const SOURCE_COLORS = { title: '#4ade80', subtitle: '#2dd4bf', description: '#60a5fa', author: '#f59e0b', modifier: '#94a3b8' };
+
+export default function KeywordExpansion({ candidates, isExpanding, disabled, onExpand, onAdd }) {
+  const [selected, setSelected] = useState(new Set());
+
+  const toggle = (keyword) => {
+    const next = new Set(selected);
+    if (next.has(keyword)) next.delete(keyword);
+    else next.add(keyword);
+    setSelected(next);
+  };
+
+  const addSelected = () => {
+    onAdd(candidates.filter(c => selected.has(c.keyword)).map(c => c.keyword));
+    setSelected(new Set());
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <button
+        onClick={onExpand}
+        disabled={disabled || isExpanding}
+        style={{ width: '100%', backgroundColor: '#334155', color: '#fff', fontWeight: '500', padding: '8px 16px', borderRadius: '4px', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}
+      >
+        <Sparkles size={18} />
+        {isExpanding ? 'Mining seed results...' : 'Expand seeds into long-tail keywords'}
+      </button>
+
+      {candidates.length > 0 && (
+        <>
+          <div style={{ maxHeight: '240px', overflowY: 'auto', border: '1px solid #334155', borderRadius: '4px' }}>
+            {candidates.map(candidate => (
+              <label
+                key={candidate.keyword}
+                style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '4px 8px', fontSize: '13px', color: '#e2e8f0', cursor: 'pointer' }}
+                title={`From "${candidate.seed}" · ${candidate.support} books · score ${candidate.score}`}
+              >
+                <input type="checkbox" checked={selected.has(candidate.keyword)} onChange={() => toggle(candidate.keyword)} />
+                <span style={{ flex: 1 }}>{candidate.keyword}</span>
+                <span style={{ fontSize: '11px', color: SOURCE_COLORS[candidate.source] }}>{candidate.source}</span>
+              </label>
+            ))}
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '12px' }}>
+            <button
+              onClick={() => setSelected(selected.size === candidates.length ? new Set() : new Set(candidates.map(c => c.keyword)))}
+              style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', textDecoration: 'underline' }}
+            >
+              {selected.size === candidates.length ? 'Select none' : 'Select all'}
+            </button>
+            <button
+              onClick={addSelected}
+              disabled={selected.size === 0}
+              style={{ display: 'flex', alignItems: 'center', gap: '4px', backgroundColor: '#16a34a', color: '#fff', padding: '4px 10px', borderRadius: '4px', border: 'none', cursor: 'pointer' }}
+            >
+              <Plus size={14} /> Add {selected.size} to keywords
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
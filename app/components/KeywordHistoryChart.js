@@ -0,0 +1,50 @@
+'use client';
+
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+export default function KeywordHistoryChart({ history, keywords }) {
+  const [selected, setSelected] = useState('');
+
+  const options = keywords.filter(k => (history[k] || []).length > 0);
+  const keyword = options.includes(selected) ? selected : options[0];
+
+  if (!keyword) return null;
+
+  const data = history[keyword].map(s => ({
+    date: new Date(s.createdAt).toLocaleDateString(),
+    supply: s.audiobooks,
+    popularity: s.avgPopularity
+  }));
+
+  return (
+    <div style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '24px', border: '1px solid #334155' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', gap: '12px' }}>
+        <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#fff' }}>Keyword History</h3>
+        <select
+          value={keyword}
+          onChange={(e) => setSelected(e.target.value)}
+          style={{ padding: '6px 12px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff', fontSize: '14px' }}
+        >
+          {options.map(k => (
+            <option key={k} value={k}>{k} ({history[k].length})</option>
+          ))}
+        </select>
+      </div>
+      <div style={{ height: '288px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data} margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#475569" />
+            <XAxis dataKey="date" stroke="#94a3b8" />
+            <YAxis yAxisId="supply" stroke="#4ade80" />
+            <YAxis yAxisId="popularity" orientation="right" domain={[0, 100]} stroke="#60a5fa" />
+            <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569' }} />
+            <Legend />
+            <Line yAxisId="supply" type="monotone" dataKey="supply" name="Supply" stroke="#4ade80" dot />
+            <Line yAxisId="popularity" type="monotone" dataKey="popularity" name="Avg Popularity" stroke="#60a5fa" dot />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
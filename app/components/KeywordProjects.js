@@ -0,0 +1,107 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { Save, Trash2, Upload } from 'lucide-react';
+import { splitTags } from '../../lib/projects.js';
+
+const inputStyle = { padding: '6px 10px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff', fontSize: '13px' };
+
+export default function KeywordProjects({ projects, activeProjectId, entries, disabled, onSelect, onSave, onDelete, onImport, onUpdateEntry }) {
+  const activeProject = projects.find(p => p.id === activeProjectId);
+  const [name, setName] = useState('');
+  const [showEntries, setShowEntries] = useState(false);
+
+  useEffect(() => {
+    setName(activeProject ? activeProject.name : '');
+  }, [activeProjectId]);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <label style={{ display: 'block', fontSize: '14px', fontWeight: '500', color: '#cbd5e1' }}>
+        Project
+      </label>
+      <select
+        value={activeProjectId}
+        onChange={(e) => onSelect(e.target.value)}
+        disabled={disabled}
+        style={{ ...inputStyle, width: '100%' }}
+      >
+        <option value="">Unsaved keyword list</option>
+        {projects.map(project => (
+          <option key={project.id} value={project.id}>{project.name} ({project.keywords.length})</option>
+        ))}
+      </select>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Project name"
+          style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+        />
+        <button
+          onClick={() => onSave(name)}
+          disabled={!name.trim() || entries.length === 0}
+          title={activeProject ? 'Save changes to this project' : 'Save as a new project'}
+          style={{ display: 'flex', alignItems: 'center', gap: '4px', backgroundColor: '#334155', color: '#fff', padding: '6px 10px', borderRadius: '4px', border: 'none', cursor: 'pointer', fontSize: '13px' }}
+        >
+          <Save size={14} /> Save
+        </button>
+        {activeProject && (
+          <button
+            onClick={() => onDelete(activeProject.id)}
+            title="Delete project"
+            style={{ display: 'flex', alignItems: 'center', backgroundColor: 'transparent', color: '#f87171', padding: '6px', borderRadius: '4px', border: '1px solid #475569', cursor: 'pointer' }}
+          >
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#94a3b8', cursor: 'pointer' }}>
+        <Upload size={14} />
+        Import keywords from TXT or CSV (keyword, tags, notes columns)
+        <input
+          type="file"
+          accept=".txt,.csv,.tsv"
+          disabled={disabled}
+          onChange={(e) => { onImport(e.target.files[0]); e.target.value = ''; }}
+          style={{ display: 'none' }}
+        />
+      </label>
+
+      {entries.length > 0 && (
+        <button
+          onClick={() => setShowEntries(!showEntries)}
+          style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', textDecoration: 'underline', fontSize: '12px', textAlign: 'left', padding: 0 }}
+        >
+          {showEntries ? 'Hide tags and notes' : 'Edit tags and notes'}
+        </button>
+      )}
+      {showEntries && (
+        <div style={{ maxHeight: '280px', overflowY: 'auto', border: '1px solid #334155', borderRadius: '4px' }}>
+          {entries.map(entry => (
+            <div key={entry.keyword} style={{ padding: '6px 8px', borderBottom: '1px solid #334155', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+              <span style={{ fontSize: '13px', color: '#e2e8f0' }}>{entry.keyword}</span>
+              <input
+                key={`tags-${entry.tags.join(',')}`}
+                type="text"
+                defaultValue={entry.tags.join(', ')}
+                onBlur={(e) => onUpdateEntry(entry.keyword, { tags: splitTags(e.target.value) })}
+                placeholder="Tags, e.g. fantasy, acme, high"
+                style={{ ...inputStyle, fontSize: '12px', padding: '4px 8px' }}
+              />
+              <input
+                key={`notes-${entry.notes}`}
+                type="text"
+                defaultValue={entry.notes}
+                onBlur={(e) => onUpdateEntry(entry.keyword, { notes: e.target.value.trim() })}
+                placeholder="Notes"
+                style={{ ...inputStyle, fontSize: '12px', padding: '4px 8px' }}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+'use client';
+
+import React from 'react';
+import { marketColor } from '../../lib/markets.js';
+
+export default function MarketComparison({ results, getOpportunityScore }) {
+  const markets = [...new Set(results.map(r => r.market).filter(Boolean))];
+  const keywords = [...new Set(results.map(r => r.keyword))];
+  const byKey = new Map(results.map(r => [`${r.keyword}|${r.market}`, r]));
+
+  return (
+    <div style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '24px', border: '1px solid #334155' }}>
+      <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#fff', marginBottom: '16px' }}>Market Comparison</h3>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ borderBottom: '1px solid #334155' }}>
+              <th style={{ textAlign: 'left', padding: '12px 16px', color: '#cbd5e1', fontWeight: '500' }}>Keyword</th>
+              {markets.map(market => (
+                <th key={market} style={{ textAlign: 'right', padding: '12px 16px', color: marketColor(market), fontWeight: '500', whiteSpace: 'nowrap' }}>
+                  {market}
+                  <span style={{ display: 'block', fontSize: '11px', color: '#64748b', fontWeight: '400' }}>supply / pop. / score</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {keywords.map(keyword => (
+              <tr key={keyword} style={{ borderBottom: '1px solid #334155' }}>
+                <td style={{ padding: '12px 16px', color: '#fff' }}>{keyword}</td>
+                {markets.map(market => {
+                  const result = byKey.get(`${keyword}|${market}`);
+                  return (
+                    <td key={market} style={{ padding: '12px 16px', textAlign: 'right', color: '#cbd5e1', whiteSpace: 'nowrap' }}>
+                      {!result && '-'}
+                      {result && result.error && <span style={{ color: '#f87171' }}>error</span>}
+                      {result && !result.error && (
+                        <>
+                          {result.audiobooks} / {result.avgPopularity ?? '-'} / <span style={{ color: '#c084fc', fontWeight: '600' }}>{getOpportunityScore(result)}</span>
+                        </>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
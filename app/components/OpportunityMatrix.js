@@ -0,0 +1,266 @@
+'use client';
+
+import React, { useState } from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, LabelList, ReferenceLine, ReferenceArea } from 'recharts';
+import { Settings, ZoomOut, Image as ImageIcon } from 'lucide-react';
+import { marketColor, resultKey } from '../../lib/markets.js';
+import { tierFor } from '../../lib/scoring.js';
+import { chartSvg, svgToPng } from '../../lib/chart-image.js';
+
+const SIZE_METRICS = [
+  { key: '', label: 'Uniform' },
+  { key: 'avgPopularity', label: 'Popularity' },
+  { key: 'score', label: 'Opportunity score' },
+  { key: 'demandVolume', label: 'Demand volume' },
+  { key: 'distinctAuthors', label: 'Authors' },
+  { key: 'recentShare', label: 'Released <1y %' }
+];
+
+const DEFAULT_QUADRANTS = {
+  sweetSpot: 'Sweet spot',
+  competitive: 'Competitive',
+  saturated: 'Saturated',
+  niche: 'Niche'
+};
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Low supply with high demand is the sweet spot; the other quadrants follow
+// from which side of each divider a keyword falls on.
+const quadrantOf = (point, xSplit, ySplit) => {
+  if (point.y >= ySplit) return point.audiobooks <= xSplit ? 'sweetSpot' : 'competitive';
+  return point.audiobooks <= xSplit ? 'niche' : 'saturated';
+};
+
+const inputStyle = { padding: '4px 8px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff', fontSize: '12px' };
+const buttonStyle = { display: 'flex', alignItems: 'center', gap: '4px', backgroundColor: '#334155', color: '#fff', padding: '4px 10px', borderRadius: '4px', border: 'none', cursor: 'pointer', fontSize: '12px' };
+
+function MatrixTooltip({ active, payload, quadrants, xSplit, ySplit, sizeMetric, tiers, clickable }) {
+  if (!active || !payload || payload.length === 0) return null;
+  const point = payload[0].payload;
+  const tier = point.score === null || point.score === undefined ? null : tierFor(point.score, tiers);
+  const size = SIZE_METRICS.find(m => m.key === sizeMetric);
+
+  return (
+    <div style={{ backgroundColor: '#0f172a', border: '1px solid #475569', borderRadius: '8px', padding: '10px 12px', fontSize: '12px', color: '#cbd5e1', minWidth: '180px' }}>
+      <p style={{ color: '#fff', fontWeight: '600', fontSize: '13px', marginBottom: '4px' }}>
+        {point.keyword}
+        {point.market && <span style={{ marginLeft: '6px', color: marketColor(point.market) }}>{point.market}</span>}
+      </p>
+      <p>Supply: {point.audiobooks}</p>
+      <p>Demand: {point.y}{point.demandVolume !== null && point.demandVolume !== undefined && ` (volume ${point.demandVolume})`}</p>
+      <p>Popularity: {point.avgPopularity ?? '-'}</p>
+      {tier && <p>Score: <span style={{ color: tier.color }}>{point.score} · {tier.label}</span></p>}
+      {sizeMetric && !['avgPopularity', 'score'].includes(sizeMetric) && <p>{size.label}: {point[sizeMetric] ?? '-'}</p>}
+      {quadrants && <p style={{ marginTop: '4px', color: '#c084fc' }}>{quadrants[quadrantOf(point, xSplit, ySplit)]}</p>}
+      {clickable && <p style={{ marginTop: '4px', color: '#64748b' }}>Click for competing audiobooks</p>}
+    </div>
+  );
+}
+
+// Demand vs. supply scatter with quadrant dividers, optional log supply
+// axis, bubble sizing, labels and drag-to-zoom. `chartRef` is attached to
+// the chart container so reports can embed the rendered SVG.
+export default function OpportunityMatrix({ data, markets, tiers, chartRef, onSelect, onDownload }) {
+  const [colorByMarket, setColorByMarket] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showQuadrants, setShowQuadrants] = useState(true);
+  const [xDivider, setXDivider] = useState('');
+  const [yDivider, setYDivider] = useState('');
+  const [quadrantNames, setQuadrantNames] = useState(DEFAULT_QUADRANTS);
+  const [logScale, setLogScale] = useState(false);
+  const [sizeMetric, setSizeMetric] = useState('');
+  const [showLabels, setShowLabels] = useState(false);
+  const [zoom, setZoom] = useState(null);
+  const [drag, setDrag] = useState(null);
+
+  const points = data.map(r => ({
+    ...r,
+    x: logScale ? Math.max(1, r.audiobooks) : r.audiobooks,
+    z: sizeMetric ? (r[sizeMetric] ?? 0) : 1
+  }));
+
+  const xSplit = xDivider === '' ? median(data.map(r => r.audiobooks)) : Number(xDivider);
+  const ySplit = yDivider === '' ? median(data.map(r => r.y)) : Number(yDivider);
+  const xLine = logScale ? Math.max(1, xSplit) : xSplit;
+  const quadrants = showQuadrants ? quadrantNames : null;
+  const colorByMarketActive = colorByMarket && markets.length > 1;
+
+  const endDrag = () => {
+    if (drag && drag.x2 !== undefined) {
+      const [x1, x2] = [drag.x1, drag.x2].sort((a, b) => a - b);
+      const [y1, y2] = [drag.y1, drag.y2].sort((a, b) => a - b);
+      if (x2 - x1 > 0 && y2 - y1 > 0) setZoom({ x: [x1, x2], y: [y1, y2] });
+    }
+    setDrag(null);
+  };
+
+  const exportImage = async (type) => {
+    const container = chartRef.current;
+    const svg = chartSvg(container);
+    if (!svg) return;
+    if (type === 'svg') {
+      onDownload(svg, { id: 'svg', mimeType: 'image/svg+xml' });
+      return;
+    }
+    const png = await svgToPng(svg, { width: container.clientWidth, height: container.clientHeight });
+    onDownload(png, { id: 'png', mimeType: 'image/png' });
+  };
+
+  const scatterProps = onSelect ? {
+    onClick: (point) => onSelect(resultKey(point.payload)),
+    style: { cursor: 'pointer' }
+  } : {};
+
+  const labels = showLabels && <LabelList dataKey="keyword" position="top" fill="#cbd5e1" fontSize={10} />;
+
+  return (
+    <div style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '24px', border: '1px solid #334155' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+        <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#fff' }}>Demand vs. Supply Matrix</h3>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          {zoom && (
+            <button onClick={() => setZoom(null)} style={buttonStyle} title="Reset zoom">
+              <ZoomOut size={14} /> Reset zoom
+            </button>
+          )}
+          <button onClick={() => exportImage('png')} style={buttonStyle} title="Download as PNG">
+            <ImageIcon size={14} /> PNG
+          </button>
+          <button onClick={() => exportImage('svg')} style={buttonStyle} title="Download as SVG">
+            SVG
+          </button>
+          <button onClick={() => setShowSettings(!showSettings)} style={{ ...buttonStyle, backgroundColor: showSettings ? '#475569' : '#334155' }} title="Chart settings">
+            <Settings size={14} />
+          </button>
+        </div>
+      </div>
+
+      {showSettings && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px', marginBottom: '16px', padding: '12px', backgroundColor: '#0f172a', borderRadius: '8px', fontSize: '12px', color: '#cbd5e1' }}>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input type="checkbox" checked={logScale} onChange={(e) => { setLogScale(e.target.checked); setZoom(null); }} />
+              Log scale supply axis
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input type="checkbox" checked={showLabels} onChange={(e) => setShowLabels(e.target.checked)} />
+              Show keyword labels
+            </label>
+            {markets.length > 1 && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <input type="checkbox" checked={colorByMarket} onChange={(e) => setColorByMarket(e.target.checked)} />
+                Colour by market
+              </label>
+            )}
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              Bubble size
+              <select value={sizeMetric} onChange={(e) => setSizeMetric(e.target.value)} style={inputStyle}>
+                {SIZE_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+            </label>
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input type="checkbox" checked={showQuadrants} onChange={(e) => setShowQuadrants(e.target.checked)} />
+              Quadrants
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              Supply split
+              <input type="number" value={xDivider} onChange={(e) => setXDivider(e.target.value)} placeholder={`median ${xSplit}`} style={{ ...inputStyle, width: '100px' }} />
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              Demand split
+              <input type="number" value={yDivider} onChange={(e) => setYDivider(e.target.value)} placeholder={`median ${ySplit}`} style={{ ...inputStyle, width: '100px' }} />
+            </label>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+            {[['sweetSpot', 'Low supply, high demand'], ['competitive', 'High supply, high demand'], ['niche', 'Low supply, low demand'], ['saturated', 'High supply, low demand']].map(([key, hint]) => (
+              <input
+                key={key}
+                type="text"
+                value={quadrantNames[key]}
+                title={hint}
+                onChange={(e) => setQuadrantNames({ ...quadrantNames, [key]: e.target.value })}
+                style={inputStyle}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div ref={chartRef} style={{ height: '384px', userSelect: 'none' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ScatterChart
+            margin={{ top: 20, right: 20, bottom: 20, left: 20 }}
+            onMouseDown={(e) => e && e.xValue !== null && setDrag({ x1: e.xValue, y1: e.yValue })}
+            onMouseMove={(e) => drag && e && e.xValue !== null && setDrag({ ...drag, x2: e.xValue, y2: e.yValue })}
+            onMouseUp={endDrag}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#475569" />
+            <XAxis
+              type="number"
+              dataKey="x"
+              name="Supply"
+              stroke="#94a3b8"
+              scale={logScale ? 'log' : 'auto'}
+              domain={zoom ? zoom.x : (logScale ? [1, 'auto'] : [0, 'auto'])}
+              allowDataOverflow={!!zoom}
+              tickFormatter={(value) => Math.round(value)}
+            />
+            <YAxis
+              type="number"
+              dataKey="y"
+              name="Demand"
+              stroke="#94a3b8"
+              domain={zoom ? zoom.y : [0, 'auto']}
+              allowDataOverflow={!!zoom}
+              tickFormatter={(value) => Math.round(value)}
+            />
+            <ZAxis type="number" dataKey="z" range={sizeMetric ? [40, 400] : [80, 80]} />
+            <Tooltip
+              cursor={{ strokeDasharray: '3 3' }}
+              content={<MatrixTooltip quadrants={quadrants} xSplit={xSplit} ySplit={ySplit} sizeMetric={sizeMetric} tiers={tiers} clickable={!!onSelect} />}
+            />
+            {quadrants && (
+              <>
+                <ReferenceArea x2={xLine} y1={ySplit} fill="#22c55e" fillOpacity={0.04} stroke="none" ifOverflow="hidden" label={{ value: quadrants.sweetSpot, position: 'insideTopLeft', fill: '#64748b', fontSize: 12 }} />
+                <ReferenceArea x1={xLine} y1={ySplit} fill="#f59e0b" fillOpacity={0.03} stroke="none" ifOverflow="hidden" label={{ value: quadrants.competitive, position: 'insideTopRight', fill: '#64748b', fontSize: 12 }} />
+                <ReferenceArea x2={xLine} y2={ySplit} fill="#94a3b8" fillOpacity={0.02} stroke="none" ifOverflow="hidden" label={{ value: quadrants.niche, position: 'insideBottomLeft', fill: '#64748b', fontSize: 12 }} />
+                <ReferenceArea x1={xLine} y2={ySplit} fill="#ef4444" fillOpacity={0.03} stroke="none" ifOverflow="hidden" label={{ value: quadrants.saturated, position: 'insideBottomRight', fill: '#64748b', fontSize: 12 }} />
+                <ReferenceLine x={xLine} stroke="#64748b" strokeDasharray="6 4" ifOverflow="hidden" />
+                <ReferenceLine y={ySplit} stroke="#64748b" strokeDasharray="6 4" ifOverflow="hidden" />
+              </>
+            )}
+            {colorByMarketActive ? (
+              markets.map(market => (
+                <Scatter key={market} name={market} data={points.filter(r => r.market === market)} fill={marketColor(market)} {...scatterProps}>
+                  {labels}
+                </Scatter>
+              ))
+            ) : (
+              <Scatter name="Keywords" data={points} {...scatterProps}>
+                {points.map(entry => (
+                  <Cell key={resultKey(entry)} fill={entry.score === null || entry.score === undefined ? '#64748b' : tierFor(entry.score, tiers).color} />
+                ))}
+                {labels}
+              </Scatter>
+            )}
+            {colorByMarketActive && <Legend />}
+            {drag && drag.x2 !== undefined && (
+              <ReferenceArea x1={drag.x1} x2={drag.x2} y1={drag.y1} y2={drag.y2} fill="#c084fc" fillOpacity={0.15} stroke="#c084fc" strokeOpacity={0.5} />
+            )}
+          </ScatterChart>
+        </ResponsiveContainer>
+      </div>
+      <p style={{ fontSize: '12px', color: '#64748b', marginTop: '8px' }}>
+        Drag across the chart to zoom in.{onSelect && ' Click a bubble to see its competing audiobooks.'}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,394 @@
+'use client';
+
+import React, { useState, useMemo, useEffect } from 'react';
+import { ArrowUp, ArrowDown, ChevronDown, ChevronRight, ChevronLeft, Download, RotateCcw, Search, TrendingUp, TrendingDown, X } from 'lucide-react';
+import { COMPETITION_COLUMNS } from '../../lib/competition.js';
+import { marketColor, resultKey } from '../../lib/markets.js';
+import { tierFor } from '../../lib/scoring.js';
+
+const TEXT_COLUMNS = new Set(['keyword', 'topLanguage', 'topEdition']);
+
+const COLUMNS = [
+  { key: 'keyword', label: 'Keyword' },
+  { key: 'audiobooks', label: 'Supply' },
+  { key: 'demand', label: 'Demand' },
+  { key: 'avgPopularity', label: 'Popularity' },
+  { key: 'popularityTrend', label: 'Trend' },
+  { key: 'score', label: 'Score' },
+  ...COMPETITION_COLUMNS
+];
+
+const RANGE_COLUMNS = COLUMNS.filter(c => !TEXT_COLUMNS.has(c.key));
+
+const PAGE_SIZES = [25, 50, 100, 250];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const compareRows = (key, direction) => (a, b) => {
+  const av = a[key];
+  const bv = b[key];
+  if (av === bv) return 0;
+  if (isBlank(av)) return 1;
+  if (isBlank(bv)) return -1;
+  const order = typeof av === 'string' ? av.localeCompare(bv) : av - bv;
+  return order * direction;
+};
+
+const inRange = (row, { key, min, max }) => {
+  const value = row[key];
+  if (typeof value !== 'number') return false;
+  return (min === null || value >= min) && (max === null || value <= max);
+};
+
+const rangeLabel = ({ key, min, max }) => {
+  const label = COLUMNS.find(c => c.key === key).label;
+  if (min !== null && max !== null) return `${min} ≤ ${label} ≤ ${max}`;
+  return min !== null ? `${label} ≥ ${min}` : `${label} ≤ ${max}`;
+};
+
+const toNumberOrNull = (value) => (value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+
+const cellStyle = { padding: '12px 16px', textAlign: 'right', color: '#cbd5e1' };
+const headerStyle = { padding: '12px 16px', color: '#cbd5e1', fontWeight: '500', whiteSpace: 'nowrap', cursor: 'pointer', userSelect: 'none' };
+const inputStyle = { padding: '6px 10px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff', fontSize: '13px' };
+const buttonStyle = { display: 'flex', alignItems: 'center', gap: '4px', backgroundColor: '#334155', color: '#fff', padding: '6px 10px', borderRadius: '4px', border: 'none', cursor: 'pointer', fontSize: '13px' };
+
+// Full results grid: every keyword with sorting, text search, numeric range
+// filters and pagination, plus a tab listing failed keywords. Selected rows
+// can be exported or re-run on their own. Leaving out `onRerun`, `onSelect`
+// or `onCollapseClustersChange` hides the matching controls for read-only use.
+export default function ResultsTable({ results, scorer, tiers, tagsOf = () => [], clusterOf = new Map(), collapseClusters = false, onCollapseClustersChange, exportFormats, onExport, onRerun, onSelect, disabled }) {
+  const [tab, setTab] = useState('results');
+  const [query, setQuery] = useState('');
+  const [ranges, setRanges] = useState([]);
+  const [draft, setDraft] = useState({ key: 'audiobooks', min: '', max: '' });
+  const [sort, setSort] = useState({ key: 'score', direction: -1 });
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(50);
+  const [selected, setSelected] = useState(new Set());
+  const [expandedScore, setExpandedScore] = useState(null);
+
+  const scored = useMemo(() => results
+    .filter(r => !r.error)
+    .map(r => ({ ...r, ...scorer(r) })), [results, scorer]);
+  const failed = useMemo(() => results.filter(r => r.error), [results]);
+
+  const matchesQuery = (row) => {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return true;
+    return [row.keyword, row.market, row.error, ...tagsOf(row)]
+      .some(value => value && String(value).toLowerCase().includes(needle));
+  };
+
+  const filtered = scored
+    .filter(matchesQuery)
+    .filter(r => ranges.every(range => inRange(r, range)))
+    .filter(r => !collapseClusters || clusterOf.get(resultKey(r))?.representative === resultKey(r))
+    .sort(compareRows(sort.key, sort.direction));
+  const filteredErrors = failed.filter(matchesQuery);
+
+  const rows = tab === 'results' ? filtered : filteredErrors;
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const pageRows = rows.slice(page * pageSize, (page + 1) * pageSize);
+
+  useEffect(() => {
+    setPage(0);
+  }, [tab, query, ranges, pageSize, collapseClusters, sort]);
+
+  useEffect(() => {
+    const keys = new Set(results.map(resultKey));
+    setSelected(current => new Set([...current].filter(key => keys.has(key))));
+  }, [results]);
+
+  const selectedRows = results.filter(r => selected.has(resultKey(r)));
+  const allSelected = rows.length > 0 && rows.every(r => selected.has(resultKey(r)));
+
+  const toggleRow = (key) => {
+    const next = new Set(selected);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setSelected(next);
+  };
+
+  const toggleAll = () => {
+    const next = new Set(selected);
+    rows.forEach(r => (allSelected ? next.delete(resultKey(r)) : next.add(resultKey(r))));
+    setSelected(next);
+  };
+
+  const toggleSort = (key) => setSort(sort.key === key
+    ? { key, direction: -sort.direction }
+    : { key, direction: TEXT_COLUMNS.has(key) ? 1 : -1 });
+
+  const addRange = () => {
+    const min = toNumberOrNull(draft.min);
+    const max = toNumberOrNull(draft.max);
+    if (min === null && max === null) return;
+    setRanges([...ranges.filter(r => r.key !== draft.key), { key: draft.key, min, max }]);
+    setDraft({ ...draft, min: '', max: '' });
+  };
+
+  const exportRows = (format) => onExport(format, (selected.size > 0 ? selectedRows : [...filtered, ...filteredErrors]).map(resultKey));
+
+  const sortIcon = (key) => (sort.key === key
+    ? (sort.direction > 0 ? <ArrowUp size={12} style={{ marginLeft: '4px' }} /> : <ArrowDown size={12} style={{ marginLeft: '4px' }} />)
+    : null);
+
+  const tabButton = (id, label) => (
+    <button
+      onClick={() => setTab(id)}
+      style={{ background: 'none', border: 'none', borderBottom: `2px solid ${tab === id ? '#c084fc' : 'transparent'}`, color: tab === id ? '#fff' : '#94a3b8', padding: '6px 4px', cursor: 'pointer', fontSize: '16px', fontWeight: '600' }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '24px', border: '1px solid #334155' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+        <div style={{ display: 'flex', gap: '16px' }}>
+          {tabButton('results', `Results (${scored.length})`)}
+          {tabButton('errors', `Errors (${failed.length})`)}
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <Download size={16} color="#94a3b8" />
+          {exportFormats.map(format => (
+            <button
+              key={format.id}
+              onClick={() => exportRows(format)}
+              title={selected.size > 0 ? `Export ${selected.size} selected rows` : `Export ${filtered.length + filteredErrors.length} matching rows`}
+              style={buttonStyle}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '12px' }}>
+        <div style={{ position: 'relative', flex: '1 1 200px' }}>
+          <Search size={14} color="#94a3b8" style={{ position: 'absolute', left: '8px', top: '9px' }} />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search keywords, markets, tags or errors"
+            style={{ ...inputStyle, width: '100%', paddingLeft: '28px' }}
+          />
+        </div>
+        {tab === 'results' && (
+          <>
+            <select value={draft.key} onChange={(e) => setDraft({ ...draft, key: e.target.value })} style={inputStyle}>
+              {RANGE_COLUMNS.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+            </select>
+            <input type="number" value={draft.min} onChange={(e) => setDraft({ ...draft, min: e.target.value })} placeholder="min" style={{ ...inputStyle, width: '80px' }} />
+            <input type="number" value={draft.max} onChange={(e) => setDraft({ ...draft, max: e.target.value })} placeholder="max" style={{ ...inputStyle, width: '80px' }} />
+            <button onClick={addRange} style={buttonStyle}>Add filter</button>
+            {onCollapseClustersChange && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#cbd5e1' }}>
+                <input type="checkbox" checked={collapseClusters} onChange={(e) => onCollapseClustersChange(e.target.checked)} />
+                Collapse overlapping keywords
+              </label>
+            )}
+          </>
+        )}
+      </div>
+
+      {tab === 'results' && ranges.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+          {ranges.map(range => (
+            <span key={range.key} style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#e2e8f0', backgroundColor: '#334155', borderRadius: '9999px', padding: '2px 4px 2px 10px' }}>
+              {rangeLabel(range)}
+              <button onClick={() => setRanges(ranges.filter(r => r.key !== range.key))} title="Remove filter" style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', display: 'flex' }}>
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+          <button onClick={() => setRanges([])} style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', textDecoration: 'underline', fontSize: '12px' }}>
+            Clear filters
+          </button>
+        </div>
+      )}
+
+      {selected.size > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px', fontSize: '13px', color: '#cbd5e1' }}>
+          <span>{selected.size} selected</span>
+          {onRerun && (
+            <button onClick={() => onRerun(selectedRows)} disabled={disabled} style={buttonStyle}>
+              <RotateCcw size={14} /> Re-run selected
+            </button>
+          )}
+          <button onClick={() => setSelected(new Set())} style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', textDecoration: 'underline', fontSize: '12px' }}>
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      <div style={{ overflowX: 'auto' }}>
+        {tab === 'results' ? (
+          <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '1px solid #334155' }}>
+                <th style={{ padding: '12px 8px' }}>
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} title="Select all matching rows" />
+                </th>
+                {COLUMNS.map(c => (
+                  <th key={c.key} onClick={() => toggleSort(c.key)} style={{ ...headerStyle, textAlign: c.key === 'keyword' ? 'left' : 'right' }}>
+                    {c.label}
+                    {sortIcon(c.key)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {pageRows.map(result => {
+                const key = resultKey(result);
+                const tier = result.score === null ? null : tierFor(result.score, tiers);
+                const expanded = expandedScore === key;
+                const cluster = clusterOf.get(key);
+                return (
+                  <React.Fragment key={key}>
+                    <tr style={{ borderBottom: '1px solid #334155', backgroundColor: selected.has(key) ? 'rgba(192, 132, 252, 0.08)' : undefined }}>
+                      <td style={{ padding: '12px 8px' }}>
+                        <input type="checkbox" checked={selected.has(key)} onChange={() => toggleRow(key)} />
+                      </td>
+                      <td style={{ padding: '12px 16px', color: '#fff' }}>
+                        {onSelect ? (
+                          <button
+                            onClick={() => onSelect(key)}
+                            title="Show competing audiobooks"
+                            style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#fff', padding: 0, textAlign: 'left' }}
+                          >
+                            {result.keyword}
+                          </button>
+                        ) : result.keyword}
+                        {result.market && <span style={{ marginLeft: '8px', fontSize: '12px', color: marketColor(result.market) }}>{result.market}</span>}
+                        {tagsOf(result).map(tag => (
+                          <span key={tag} style={{ marginLeft: '6px', fontSize: '11px', color: '#94a3b8', border: '1px solid #475569', borderRadius: '9999px', padding: '0 6px' }}>{tag}</span>
+                        ))}
+                        {collapseClusters && cluster?.members.length > 1 && (
+                          <span style={{ marginLeft: '8px', fontSize: '12px', color: '#c084fc' }} title={cluster.members.slice(1).join('\n')}>
+                            +{cluster.members.length - 1} similar
+                          </span>
+                        )}
+                      </td>
+                      <td style={cellStyle}>{result.audiobooks}</td>
+                      <td style={{ ...cellStyle, color: '#60a5fa' }} title={result.demandVolume !== null ? `Volume: ${result.demandVolume}` : undefined}>{result.demand ?? '-'}</td>
+                      <td style={{ ...cellStyle, color: '#4ade80' }}>{result.avgPopularity ?? '-'}</td>
+                      <td style={cellStyle}>
+                        {!!result.popularityTrend && (
+                          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: '4px' }}>
+                            {result.popularityTrend > 0 ? (
+                              <TrendingUp size={14} style={{ color: '#4ade80' }} />
+                            ) : (
+                              <TrendingDown size={14} style={{ color: '#f87171' }} />
+                            )}
+                            <span style={{ color: result.popularityTrend > 0 ? '#4ade80' : '#f87171' }}>
+                              {result.popularityTrend > 0 ? '+' : ''}{result.popularityTrend}
+                            </span>
+                          </div>
+                        )}
+                      </td>
+                      <td style={{ ...cellStyle, fontWeight: '600', color: '#c084fc' }}>
+                        {result.score === null ? '-' : (
+                          <button
+                            onClick={() => setExpandedScore(expanded ? null : key)}
+                            title="Show score breakdown"
+                            style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', background: 'none', border: 'none', cursor: 'pointer', color: '#c084fc', fontWeight: '600' }}
+                          >
+                            {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                            {result.score}
+                            <span style={{ fontSize: '11px', fontWeight: '500', color: tier.color }}>{tier.label}</span>
+                          </button>
+                        )}
+                      </td>
+                      {COMPETITION_COLUMNS.map(c => (
+                        <td key={c.key} style={cellStyle}>{result[c.key] ?? '-'}</td>
+                      ))}
+                    </tr>
+                    {expanded && (
+                      <tr style={{ borderBottom: '1px solid #334155', backgroundColor: '#0f172a' }}>
+                        <td colSpan={COLUMNS.length + 1} style={{ padding: '12px 16px' }}>
+                          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', fontSize: '12px' }}>
+                            {result.breakdown.map(part => (
+                              <span key={part.key} style={{ backgroundColor: '#334155', borderRadius: '4px', padding: '4px 8px', color: '#cbd5e1' }}>
+                                {part.label}
+                                {part.value !== undefined && <>: {part.value}</>}
+                                {part.normalised !== undefined && <> → {part.normalised} × w{part.weight}</>}
+                                {part.contribution !== undefined && <strong style={{ color: '#c084fc' }}> = {part.contribution}</strong>}
+                              </span>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        ) : (
+          <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '1px solid #334155' }}>
+                <th style={{ padding: '12px 8px' }}>
+                  <input type="checkbox" checked={allSelected} onChange={toggleAll} title="Select all matching rows" />
+                </th>
+                <th style={{ ...headerStyle, textAlign: 'left', cursor: 'default' }}>Keyword</th>
+                <th style={{ ...headerStyle, textAlign: 'left', cursor: 'default' }}>Reason</th>
+                <th style={{ ...headerStyle, textAlign: 'right', cursor: 'default' }}>Date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pageRows.map(result => {
+                const key = resultKey(result);
+                return (
+                  <tr key={key} style={{ borderBottom: '1px solid #334155' }}>
+                    <td style={{ padding: '12px 8px' }}>
+                      <input type="checkbox" checked={selected.has(key)} onChange={() => toggleRow(key)} />
+                    </td>
+                    <td style={{ padding: '12px 16px', color: '#fff' }}>
+                      {result.keyword}
+                      {result.market && <span style={{ marginLeft: '8px', fontSize: '12px', color: marketColor(result.market) }}>{result.market}</span>}
+                    </td>
+                    <td style={{ padding: '12px 16px', color: '#fca5a5' }}>{result.error}</td>
+                    <td style={cellStyle}>{result.timestamp}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {rows.length === 0 && (
+        <p style={{ color: '#94a3b8', textAlign: 'center', padding: '32px' }}>
+          {tab === 'errors' && failed.length === 0 ? 'No keywords failed' : 'No keywords match the current filters'}
+        </p>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '12px', fontSize: '13px', color: '#94a3b8' }}>
+        <span>
+          {rows.length > 0 ? `${page * pageSize + 1}–${Math.min(rows.length, (page + 1) * pageSize)} of ${rows.length}` : '0 rows'}
+          {onRerun && tab === 'errors' && failed.length > 0 && (
+            <button onClick={() => onRerun(failed)} disabled={disabled} style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', textDecoration: 'underline', fontSize: '13px', marginLeft: '12px' }}>
+              Retry all failed
+            </button>
+          )}
+        </span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <select value={pageSize} onChange={(e) => setPageSize(Number(e.target.value))} style={{ ...inputStyle, padding: '4px 8px' }}>
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size} per page</option>)}
+          </select>
+          <button onClick={() => setPage(page - 1)} disabled={page === 0} style={{ ...buttonStyle, padding: '4px 6px' }} title="Previous page">
+            <ChevronLeft size={14} />
+          </button>
+          <span>{page + 1} / {pageCount}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pageCount - 1} style={{ ...buttonStyle, padding: '4px 6px' }} title="Next page">
+            <ChevronRight size={14} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
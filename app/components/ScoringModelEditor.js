@@ -0,0 +1,151 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Save, Trash2, Plus } from 'lucide-react';
+import { SCORING_INPUTS, NORMALISATIONS } from '../../lib/scoring.js';
+
+const labelStyle = { display: 'block', fontSize: '14px', fontWeight: '500', color: '#cbd5e1', marginBottom: '8px' };
+const inputStyle = { padding: '6px 10px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff', fontSize: '13px' };
+const linkButtonStyle = { display: 'inline-flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#94a3b8', background: 'none', border: 'none', cursor: 'pointer' };
+
+export default function ScoringModelEditor({ model, presets, onChange, onSavePreset, onDeletePreset }) {
+  const [presetName, setPresetName] = useState('');
+
+  const update = (changes) => onChange({ ...model, ...changes, name: '', builtIn: false });
+
+  const updateInput = (key, changes) => update({
+    inputs: SCORING_INPUTS.map(input => {
+      const current = model.inputs.find(i => i.key === input.key) || { key: input.key, weight: 0, higherIsBetter: input.higherIsBetter };
+      return current.key === key ? { ...current, ...changes } : current;
+    })
+  });
+
+  const updateTier = (index, changes) => update({
+    tiers: model.tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier))
+  });
+
+  const selectPreset = (name) => {
+    const preset = presets.find(p => p.name === name);
+    if (preset) onChange(preset);
+  };
+
+  return (
+    <div style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '24px', border: '1px solid #334155' }}>
+      <h2 style={{ fontSize: '18px', fontWeight: '600', color: '#fff', marginBottom: '16px' }}>Scoring Model</h2>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+        <div>
+          <label style={labelStyle}>Preset</label>
+          <select
+            value={presets.some(p => p.name === model.name) ? model.name : ''}
+            onChange={(e) => selectPreset(e.target.value)}
+            style={{ ...inputStyle, width: '100%' }}
+          >
+            <option value="" disabled>Unsaved changes</option>
+            {presets.map(p => (
+              <option key={p.name} value={p.name}>{p.name}{p.builtIn ? ' (built-in)' : ''}</option>
+            ))}
+          </select>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>Formula</label>
+            <select value={model.formula} onChange={(e) => update({ formula: e.target.value })} style={{ ...inputStyle, width: '100%' }}>
+              <option value="ratio">Demand / supply</option>
+              <option value="weighted">Weighted inputs</option>
+            </select>
+          </div>
+          <div style={{ flex: 1 }}>
+            <label style={labelStyle}>Normalisation</label>
+            <select
+              value={model.normalisation}
+              onChange={(e) => update({ normalisation: e.target.value })}
+              disabled={model.formula === 'ratio'}
+              style={{ ...inputStyle, width: '100%' }}
+            >
+              {NORMALISATIONS.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {model.formula === 'weighted' && (
+          <div>
+            <label style={labelStyle}>Weights</label>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+              {SCORING_INPUTS.map(input => {
+                const current = model.inputs.find(i => i.key === input.key) || { weight: 0, higherIsBetter: input.higherIsBetter };
+                return (
+                  <div key={input.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: current.weight > 0 ? '#e2e8f0' : '#64748b' }}>
+                    <span style={{ flex: 1 }}>{input.label}</span>
+                    <button
+                      onClick={() => updateInput(input.key, { higherIsBetter: !current.higherIsBetter })}
+                      title="Toggle whether higher values improve the score"
+                      style={{ ...linkButtonStyle, width: '72px', justifyContent: 'flex-end' }}
+                    >
+                      {current.higherIsBetter ? 'higher ↑' : 'lower ↓'}
+                    </button>
+                    <input
+                      type="number"
+                      min={0}
+                      step={0.5}
+                      value={current.weight}
+                      onChange={(e) => updateInput(input.key, { weight: Math.max(0, Number(e.target.value) || 0) })}
+                      style={{ ...inputStyle, width: '64px' }}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        <div>
+          <label style={labelStyle}>Tiers (score above)</label>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            {model.tiers.map((tier, index) => (
+              <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <input type="color" value={tier.color} onChange={(e) => updateTier(index, { color: e.target.value })} style={{ width: '32px', height: '28px', padding: '0', border: 'none', background: 'none' }} />
+                <input value={tier.label} onChange={(e) => updateTier(index, { label: e.target.value })} style={{ ...inputStyle, flex: 1, minWidth: 0 }} />
+                <input
+                  type="number"
+                  value={tier.min ?? ''}
+                  placeholder="any"
+                  onChange={(e) => updateTier(index, { min: e.target.value === '' ? null : Number(e.target.value) })}
+                  style={{ ...inputStyle, width: '64px' }}
+                />
+                <button onClick={() => update({ tiers: model.tiers.filter((_, i) => i !== index) })} disabled={model.tiers.length <= 1} style={linkButtonStyle} title="Remove tier">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+          <button onClick={() => update({ tiers: [...model.tiers, { label: 'New tier', min: 0, color: '#60a5fa' }] })} style={{ ...linkButtonStyle, marginTop: '8px' }}>
+            <Plus size={14} /> Add tier
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <input
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+          />
+          <button
+            onClick={() => { onSavePreset({ ...model, name: presetName.trim() }); setPresetName(''); }}
+            disabled={!presetName.trim()}
+            style={{ display: 'flex', alignItems: 'center', gap: '6px', backgroundColor: '#334155', color: '#fff', padding: '6px 12px', borderRadius: '4px', border: 'none', cursor: 'pointer', fontSize: '13px' }}
+          >
+            <Save size={14} /> Save
+          </button>
+        </div>
+        {presets.some(p => p.name === model.name && !p.builtIn) && (
+          <button onClick={() => onDeletePreset(model.name)} style={linkButtonStyle}>
+            <Trash2 size={14} /> Delete preset &quot;{model.name}&quot;
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Share2, Copy, Check, Trash2 } from 'lucide-react';
+
+const EXPIRY_OPTIONS = [
+  { days: 0, label: 'Never expires' },
+  { days: 1, label: 'Expires in 1 day' },
+  { days: 7, label: 'Expires in 7 days' },
+  { days: 30, label: 'Expires in 30 days' }
+];
+
+const buttonStyle = { display: 'flex', alignItems: 'center', gap: '6px', backgroundColor: '#334155', color: '#fff', padding: '6px 12px', borderRadius: '4px', border: 'none', cursor: 'pointer', fontSize: '13px' };
+
+export default function ShareReport({ shared, isSharing, disabled, onShare, onDelete }) {
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [copied, setCopied] = useState(false);
+
+  const link = shared ? `${window.location.origin}${shared.url}` : '';
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(link);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', backgroundColor: '#1e293b', borderRadius: '12px', padding: '12px 16px', border: '1px solid #334155', fontSize: '13px', color: '#cbd5e1' }}>
+      {shared ? (
+        <>
+          <input
+            type="text"
+            readOnly
+            value={link}
+            onFocus={(e) => e.target.select()}
+            style={{ flex: '1 1 240px', padding: '6px 10px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff', fontSize: '13px' }}
+          />
+          <button onClick={copyLink} style={buttonStyle}>
+            {copied ? <Check size={14} /> : <Copy size={14} />} {copied ? 'Copied' : 'Copy'}
+          </button>
+          <span style={{ color: '#64748b', fontSize: '12px' }}>
+            {shared.expiresAt ? `Expires ${new Date(shared.expiresAt).toLocaleString()}` : 'Never expires'}
+          </span>
+          <button onClick={onDelete} title="Delete shared report" style={{ ...buttonStyle, backgroundColor: 'transparent', color: '#f87171', border: '1px solid #475569' }}>
+            <Trash2 size={14} /> Unshare
+          </button>
+        </>
+      ) : (
+        <>
+          <button onClick={() => onShare(expiresInDays)} disabled={disabled || isSharing} style={buttonStyle}>
+            <Share2 size={14} /> {isSharing ? 'Creating link...' : 'Share read-only report'}
+          </button>
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+            style={{ padding: '6px 10px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff', fontSize: '13px' }}
+          >
+            {EXPIRY_OPTIONS.map(option => <option key={option.days} value={option.days}>{option.label}</option>)}
+          </select>
+        </>
+      )}
+    </div>
+  );
+}
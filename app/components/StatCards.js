@@ -0,0 +1,29 @@
+'use client';
+
+import React from 'react';
+
+export default function StatCards({ results, getScore }) {
+  const valid = results.filter(r => !r.error);
+  const totalAudiobooks = valid.reduce((sum, r) => sum + (r.audiobooks > 0 ? r.audiobooks : 0), 0);
+  const rated = valid.filter(r => typeof r.avgPopularity === 'number');
+  const avgPopularity = rated.length > 0
+    ? Math.round(rated.reduce((sum, r) => sum + r.avgPopularity, 0) / rated.length)
+    : '-';
+  const scores = valid.map(getScore).filter(score => score !== null && score !== undefined);
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '12px' }}>
+      {[
+        { label: 'Keywords', value: valid.length, color: '#fff' },
+        { label: 'Total Audiobooks', value: totalAudiobooks, color: '#4ade80' },
+        { label: 'Avg Popularity', value: avgPopularity, color: '#60a5fa' },
+        { label: 'Best Opportunity', value: scores.length > 0 ? Math.max(...scores) : '-', color: '#c084fc' }
+      ].map((stat, i) => (
+        <div key={i} style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '16px', border: '1px solid #334155' }}>
+          <p style={{ color: '#94a3b8', fontSize: '12px' }}>{stat.label}</p>
+          <p style={{ fontSize: '24px', fontWeight: 'bold', color: stat.color }}>{stat.value}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,21 +1,234 @@
 'use client';
 
-import React, { useState } from 'react';
-import { Download, Play, Pause, AlertCircle, TrendingUp, TrendingDown } from 'lucide-react';
-import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Play, Pause, Square, RotateCcw, AlertCircle, Tag } from 'lucide-react';
+import KeywordHistoryChart from './components/KeywordHistoryChart';
+import MarketComparison from './components/MarketComparison';
+import ScoringModelEditor from './components/ScoringModelEditor';
+import KeywordDetailPanel from './components/KeywordDetailPanel';
+import KeywordClusters from './components/KeywordClusters';
+import KeywordExpansion from './components/KeywordExpansion';
+import KeywordProjects from './components/KeywordProjects';
+import ResultsTable from './components/ResultsTable';
+import OpportunityMatrix from './components/OpportunityMatrix';
+import StatCards from './components/StatCards';
+import ShareReport from './components/ShareReport';
+import { createBatchRunner } from '../lib/batch-runner.js';
+import { SpotifyError, networkFetch } from '../lib/spotify-error.js';
+import { MARKETS, marketColor, resultKey } from '../lib/markets.js';
+import { parseDemandFile, heuristicProvider, createImportedProvider, applyDemand, normalizeKeyword } from '../lib/demand.js';
+import { BUILT_IN_PRESETS, createScorer } from '../lib/scoring.js';
+import { computeOverlap, clusterKeywords } from '../lib/overlap.js';
+import { expandKeywords } from '../lib/expansion.js';
+import { PAGE_SIZE, parseKeywordList, buildJobs, groupByResultKey, baselineKey, indexBaseline, trendsAgainst, fetchAudiobooks, scoreResults } from '../lib/research.js';
+import { dedupeKeywords, parseKeywordFile } from '../lib/projects.js';
+import { chartSvg } from '../lib/chart-image.js';
+import { EXPORT_FORMATS, parseResultsFile } from '../lib/export.js';
+import { downloadFile, downloadRun } from '../lib/download.js';
+import { readEventStream } from '../lib/event-stream.js';
+import { rememberSharedReport, unshareReport } from '../lib/shared-reports.js';
+
+const STREAM_RETRY_MS = 1000;
+const MAX_STREAM_FAILURES = 3;
 
 export default function AudiobookResearchTool() {
   const [clientId, setClientId] = useState('');
   const [clientSecret, setClientSecret] = useState('');
-  const [accessToken, setAccessToken] = useState('');
+  const [credentialSource, setCredentialSource] = useState('');
+  const [serverCredentials, setServerCredentials] = useState(false);
   const [keywords, setKeywords] = useState('');
   const [results, setResults] = useState([]);
   const [previousResults, setPreviousResults] = useState([]);
+  const [baselineName, setBaselineName] = useState('');
   const [isSearching, setIsSearching] = useState(false);
   const [progress, setProgress] = useState(0);
   const [error, setError] = useState('');
   const [showMatrix, setShowMatrix] = useState(false);
   const [tokenStatus, setTokenStatus] = useState('');
+  const [history, setHistory] = useState({});
+  const [concurrency, setConcurrency] = useState(3);
+  const [isPaused, setIsPaused] = useState(false);
+  const [throttledUntil, setThrottledUntil] = useState(0);
+  const [deepSearch, setDeepSearch] = useState(false);
+  const [maxPages, setMaxPages] = useState(4);
+  const [markets, setMarkets] = useState([]);
+  const [demandSource, setDemandSource] = useState('heuristic');
+  const [demandRecords, setDemandRecords] = useState([]);
+  const [demandFileName, setDemandFileName] = useState('');
+  const [scoringModel, setScoringModel] = useState(BUILT_IN_PRESETS[0]);
+  const [scoringPresets, setScoringPresets] = useState(BUILT_IN_PRESETS);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [overlapThreshold, setOverlapThreshold] = useState(0.5);
+  const [overlapRows, setOverlapRows] = useState([]);
+  const [collapseClusters, setCollapseClusters] = useState(false);
+  const [expansionCandidates, setExpansionCandidates] = useState([]);
+  const [isExpanding, setIsExpanding] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [activeProjectId, setActiveProjectId] = useState('');
+  const [keywordMeta, setKeywordMeta] = useState({});
+  const [tagFilter, setTagFilter] = useState('');
+  const [sharedReport, setSharedReport] = useState(null);
+  const [isSharing, setIsSharing] = useState(false);
+  const researchJobRef = useRef(null);
+  const matrixRef = useRef(null);
+
+  const demandProvider = useMemo(() => (demandSource === 'imported' && demandRecords.length > 0
+    ? createImportedProvider(demandRecords, demandFileName)
+    : heuristicProvider), [demandSource, demandRecords, demandFileName]);
+  const analyzedResults = useMemo(() => applyDemand(results, demandProvider), [results, demandProvider]);
+  const keywordEntries = useMemo(() => dedupeKeywords(parseKeywordList(keywords))
+    .map(entry => ({ ...entry, ...keywordMeta[entry.keyword] })), [keywords, keywordMeta]);
+  const scorer = useMemo(() => createScorer(scoringModel, analyzedResults.filter(r => !r.error)), [scoringModel, analyzedResults]);
+  // Overlap is quadratic in the number of keywords, so it is computed once a
+  // run has finished rather than again for every streamed row.
+  useEffect(() => {
+    if (!isSearching || results.length === 0) setOverlapRows(results);
+  }, [isSearching, results]);
+  const overlap = useMemo(() => computeOverlap(overlapRows), [overlapRows]);
+  const clusters = useMemo(() => {
+    const byKey = new Map(analyzedResults.map(r => [resultKey(r), r]));
+    return clusterKeywords(overlap, overlapThreshold, key => (byKey.has(key) ? scorer(byKey.get(key)).score : null));
+  }, [overlap, overlapThreshold, scorer, analyzedResults]);
+
+  const loadHistory = async () => {
+    const response = await fetch('/api/history');
+    if (!response.ok) throw new Error(`History API error: ${response.status}`);
+    const data = await response.json();
+    const grouped = groupByResultKey(data.snapshots);
+    setHistory(grouped);
+    return grouped;
+  };
+
+  const checkServerCredentials = async () => {
+    const response = await fetch('/api/token');
+    const data = await response.json();
+    setServerCredentials(data.configured && !data.error);
+    if (data.configured && !data.error) {
+      setCredentialSource('server');
+      setTokenStatus('✓ Using server credentials');
+    }
+  };
+
+  const spotifyHeaders = () => (credentialSource === 'override'
+    ? { 'X-Spotify-Client-Id': clientId.trim(), 'X-Spotify-Client-Secret': clientSecret.trim() }
+    : {});
+
+  const loadScoringPresets = async () => {
+    const response = await fetch('/api/scoring-presets');
+    if (!response.ok) throw new Error(`Presets API error: ${response.status}`);
+    const data = await response.json();
+    setScoringPresets(data.presets);
+    return data.presets;
+  };
+
+  const saveScoringPreset = async (preset) => {
+    try {
+      const response = await fetch('/api/scoring-presets', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(preset)
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      await loadScoringPresets();
+      setScoringModel(data.preset);
+    } catch (err) {
+      setError('Could not save scoring preset: ' + err.message);
+    }
+  };
+
+  const deleteScoringPreset = async (name) => {
+    try {
+      const response = await fetch(`/api/scoring-presets?name=${encodeURIComponent(name)}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error(`Presets API error: ${response.status}`);
+      await loadScoringPresets();
+      setScoringModel(BUILT_IN_PRESETS[0]);
+    } catch (err) {
+      setError('Could not delete scoring preset: ' + err.message);
+    }
+  };
+
+  const loadProjects = async () => {
+    const response = await fetch('/api/projects');
+    if (!response.ok) throw new Error(`Projects API error: ${response.status}`);
+    const data = await response.json();
+    setProjects(data.projects);
+    return data.projects;
+  };
+
+  const openProject = (id) => {
+    setActiveProjectId(id);
+    const project = projects.find(p => p.id === id);
+    if (!project) return;
+    setKeywords(project.keywords.map(entry => entry.keyword).join('\n'));
+    setKeywordMeta(Object.fromEntries(project.keywords.map(({ keyword, tags, notes }) => [keyword, { tags, notes }])));
+    setTagFilter('');
+  };
+
+  const saveProject = async (name) => {
+    const existing = projects.find(p => p.id === activeProjectId);
+    try {
+      const response = await fetch('/api/projects', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          id: existing && existing.name === name.trim() ? existing.id : undefined,
+          name,
+          keywords: keywordEntries
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      await loadProjects();
+      setActiveProjectId(data.project.id);
+    } catch (err) {
+      setError('Could not save project: ' + err.message);
+    }
+  };
+
+  const deleteProject = async (id) => {
+    try {
+      const response = await fetch(`/api/projects?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error(`Projects API error: ${response.status}`);
+      await loadProjects();
+      setActiveProjectId('');
+    } catch (err) {
+      setError('Could not delete project: ' + err.message);
+    }
+  };
+
+  const importKeywordFile = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseKeywordFile(await file.text(), file.name);
+      if (imported.length === 0) {
+        setError(`No keywords found in ${file.name}`);
+        return;
+      }
+      const merged = dedupeKeywords([...keywordEntries, ...imported]);
+      setKeywords(merged.map(entry => entry.keyword).join('\n'));
+      setKeywordMeta(Object.fromEntries(merged.map(({ keyword, tags, notes }) => [keyword, { tags, notes }])));
+      setError('');
+    } catch (err) {
+      setError('Could not read keyword file: ' + err.message);
+    }
+  };
+
+  const updateKeywordEntry = (keyword, patch) => {
+    const current = keywordMeta[keyword] || { tags: [], notes: '' };
+    setKeywordMeta({ ...keywordMeta, [keyword]: { ...current, ...patch } });
+  };
+
+  useEffect(() => {
+    loadHistory().catch(() => {});
+    checkServerCredentials().catch(() => {});
+    loadScoringPresets().catch(() => {});
+    loadProjects().catch(() => {});
+  }, []);
 
   const requestAccessToken = async () => {
     if (!clientId.trim() || !clientSecret.trim()) {
@@ -45,7 +258,7 @@ export default function AudiobookResearchTool() {
       }
 
       const data = await response.json();
-      setAccessToken(data.access_token);
+      setCredentialSource('override');
       setTokenStatus(`✓ Token active (expires in ${Math.round(data.expires_in / 60)} minutes)`);
     } catch (err) {
       setError('Error requesting token: ' + err.message);
@@ -53,147 +266,295 @@ export default function AudiobookResearchTool() {
     }
   };
 
+  const importDemandFile = async (file) => {
+    if (!file) return;
+    try {
+      const records = parseDemandFile(await file.text(), file.name);
+      if (records.length === 0) {
+        setError(`No keyword volumes found in ${file.name}`);
+        return;
+      }
+      setDemandRecords(records);
+      setDemandFileName(file.name);
+      setDemandSource('imported');
+      setError('');
+    } catch (err) {
+      setError('Could not read demand file: ' + err.message);
+    }
+  };
+
+  const importBaselineFile = async (file) => {
+    if (!file) return;
+    try {
+      const { results: rows } = parseResultsFile(await file.text(), file.name);
+      const baseline = rows.filter(r => r.keyword && !r.error);
+      if (baseline.length === 0) {
+        setError(`No results found in ${file.name}`);
+        return;
+      }
+      const byKey = indexBaseline(baseline);
+      setPreviousResults(baseline);
+      setBaselineName(file.name);
+      setResults(results.map(r => (r.error ? r : { ...r, ...trendsAgainst(r, byKey[baselineKey(r)]) })));
+      setError('');
+    } catch (err) {
+      setError('Could not read results file: ' + err.message);
+    }
+  };
+
+  const clearBaseline = () => {
+    setPreviousResults([]);
+    setBaselineName('');
+  };
+
+  const fetchSpotify = async (url, signal) => {
+    const response = await networkFetch(url, { headers: spotifyHeaders(), signal });
+
+    if (!response.ok) {
+      const retryAfter = response.headers.get('Retry-After');
+      throw new SpotifyError(`API error: ${response.status}`, response.status, retryAfter ? Number(retryAfter) : undefined);
+    }
+
+    return response.json();
+  };
+
+  const proxyGet = (path, query, signal) => fetchSpotify(`/api${path}?${new URLSearchParams(query)}`, signal);
+
+  const controlResearch = async (action) => {
+    if (!researchJobRef.current) return;
+    try {
+      const response = await fetch(`/api/research?id=${encodeURIComponent(researchJobRef.current)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ action })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+    } catch (err) {
+      setError(`Could not ${action} the run: ` + err.message);
+    }
+  };
+
+  // Follows a research job's event stream until its `done` event. When the
+  // connection ends early (a function timeout, a network blip) it is
+  // reopened, which also resumes a job whose runner was cut off; every
+  // (re)connect starts with a snapshot of the rows stored so far.
+  const followResearchJob = async (url, onRows) => {
+    for (let failures = 0; ;) {
+      let finished = null;
+      try {
+        const response = await fetch(url, { headers: spotifyHeaders() });
+        if (!response.ok) throw new Error((await response.json()).error);
+        failures = 0;
+        await readEventStream(response, (event, data) => {
+          if (event === 'snapshot') {
+            setIsPaused(data.status === 'paused');
+            onRows(data.results, data.progress);
+          } else if (event === 'result') {
+            onRows([data.row], data.progress);
+          } else if (event === 'status') {
+            if (data.status === 'throttled') setThrottledUntil(data.until);
+            else setIsPaused(data.status === 'paused');
+          } else if (event === 'done') {
+            finished = data;
+          }
+        });
+      } catch (err) {
+        if (++failures >= MAX_STREAM_FAILURES) throw new Error('Lost connection to the research job: ' + err.message);
+      }
+      if (finished) return finished;
+      await new Promise(resolve => setTimeout(resolve, STREAM_RETRY_MS));
+    }
+  };
+
+  // Runs go through the same /api/research job API other tools use, which
+  // also records the run in history.
+  const runKeywords = async (jobs, existingResults) => {
+    setIsSearching(true);
+    setIsPaused(false);
+    setThrottledUntil(0);
+    setError('');
+    setProgress(0);
+    setSharedReport(null);
+
+    const rows = new Map(existingResults.map(r => [resultKey(r), r]));
+    const books = new Map();
+
+    try {
+      const response = await fetch('/api/research', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...spotifyHeaders()
+        },
+        body: JSON.stringify({
+          jobs,
+          concurrency,
+          deepSearch,
+          maxPages,
+          scoringModel,
+          demand: demandSource === 'imported' ? demandRecords : [],
+          demandLabel: demandFileName,
+          baseline: baselineName ? previousResults.map(({ books, ...row }) => row) : undefined
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      researchJobRef.current = data.id;
+      const job = await followResearchJob(data.links.events, (updated, jobProgress) => {
+        // Stored rows come without book lists; keep the ones streamed earlier.
+        updated.forEach(row => {
+          const key = resultKey(row);
+          if (row.books) books.set(key, row.books);
+          rows.set(key, { ...row, books: books.get(key) || [] });
+        });
+        setResults([...rows.values()]);
+        setProgress(Math.round((jobProgress.done / jobProgress.total) * 100));
+      });
+      if (job.error) setError(job.error);
+    } catch (err) {
+      setError('Research failed: ' + err.message);
+    }
+
+    researchJobRef.current = null;
+    setIsSearching(false);
+    setIsPaused(false);
+    setShowMatrix(true);
+    loadHistory().catch(() => {});
+  };
+
   const handleSearch = async () => {
-    if (!accessToken.trim()) {
+    if (!credentialSource) {
       setError('Please request an access token first');
       return;
     }
 
-    const keywordList = keywords
-      .split('\n')
-      .map(k => k.trim())
-      .filter(k => k.length > 0);
+    const keywordList = keywordEntries.map(entry => entry.keyword);
 
     if (keywordList.length === 0) {
       setError('Please enter at least one keyword');
       return;
     }
 
-    setPreviousResults(results);
-    setIsSearching(true);
-    setError('');
+    setKeywords(keywordList.join('\n'));
+
     setResults([]);
-    setProgress(0);
+    await runKeywords(buildJobs(keywordList, markets), []);
+  };
 
-    const searchResults = [];
+  const expandSeeds = async () => {
+    const seeds = keywordEntries.map(entry => entry.keyword);
+    if (seeds.length === 0) {
+      setError('Enter at least one seed keyword to expand');
+      return;
+    }
 
-    for (let i = 0; i < keywordList.length; i++) {
-      const keyword = keywordList[i];
-      
-      try {
-        const response = await fetch(
-          `https://api.spotify.com/v1/search?q=${encodeURIComponent(keyword)}&type=audiobook&limit=50`,
-          {
-            headers: {
-              'Authorization': `Bearer ${accessToken}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
+    setIsExpanding(true);
+    setError('');
 
-        if (!response.ok) {
-          if (response.status === 401) {
-            setError('Token expired. Request a new one.');
-            setIsSearching(false);
-            return;
-          }
-          throw new Error(`API error: ${response.status}`);
+    const existing = new Set(seeds);
+    const best = new Map();
+    const runner = createBatchRunner({
+      items: seeds,
+      concurrency,
+      worker: (seed, { signal }) => fetchAudiobooks(proxyGet, { keyword: seed, market: markets[0] || null }, { deepSearch, maxPages, signal }),
+      onResult: ({ item, value, error: err }) => {
+        if (err) {
+          setError(`Could not expand "${item}": ${err.message}`);
+          return;
         }
-
-        const data = await response.json();
-        const audiobooks = data.audiobooks?.items || [];
-        const count = data.audiobooks?.total || 0;
-
-        const avgPopularity = audiobooks.length > 0
-          ? Math.round(audiobooks.reduce((sum, book) => sum + (book.popularity || 50), 0) / audiobooks.length)
-          : 50;
-
-        const estimatedTrendsInterest = Math.min(100, Math.round((count / 5)));
-
-        const prevResult = previousResults.find(r => r.keyword === keyword);
-        const popularityTrend = prevResult ? avgPopularity - prevResult.avgPopularity : 0;
-        const supplyTrend = prevResult ? count - prevResult.audiobooks : 0;
-
-        searchResults.push({
-          keyword,
-          audiobooks: count,
-          avgPopularity,
-          estimatedTrendsInterest,
-          popularityTrend,
-          supplyTrend,
-          timestamp: new Date().toLocaleDateString(),
-          x: count,
-          y: estimatedTrendsInterest,
-          size: avgPopularity * 2
-        });
-
-        setResults([...searchResults]);
-        setProgress(Math.round(((i + 1) / keywordList.length) * 100));
-
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (err) {
-        searchResults.push({
-          keyword,
-          audiobooks: -1,
-          avgPopularity: 0,
-          estimatedTrendsInterest: 0,
-          error: err.message,
-          timestamp: new Date().toLocaleDateString()
+        expandKeywords(item, value.items).forEach(candidate => {
+          if (existing.has(candidate.keyword)) return;
+          if (!best.has(candidate.keyword) || best.get(candidate.keyword).score < candidate.score) {
+            best.set(candidate.keyword, candidate);
+          }
         });
-        setResults([...searchResults]);
-        setProgress(Math.round(((i + 1) / keywordList.length) * 100));
       }
-    }
+    });
 
-    setIsSearching(false);
-    setShowMatrix(true);
+    await runner.start();
+    setExpansionCandidates([...best.values()].sort((a, b) => b.score - a.score));
+    setIsExpanding(false);
   };
 
-  const downloadCSV = () => {
-    const headers = ['Keyword', 'Audiobooks Found', 'Avg Popularity', 'Estimated Trends Interest', 'Popularity Trend', 'Supply Trend', 'Status'];
-    const rows = results.map(r => [
-      r.keyword,
-      r.error ? 'Error' : r.audiobooks,
-      r.error ? '-' : r.avgPopularity,
-      r.error ? '-' : r.estimatedTrendsInterest,
-      r.error ? '-' : (r.popularityTrend > 0 ? '+' + r.popularityTrend : r.popularityTrend),
-      r.error ? '-' : (r.supplyTrend > 0 ? '+' + r.supplyTrend : r.supplyTrend),
-      r.error ? r.error : 'OK'
-    ]);
-
-    const csv = [
-      headers.join(','),
-      ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-    ].join('\n');
-
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `audiobook-research-${new Date().toISOString().split('T')[0]}.csv`;
-    a.click();
+  const addExpandedKeywords = (added) => {
+    const current = parseKeywordList(keywords);
+    setKeywords([...current, ...added].join('\n'));
+    setExpansionCandidates(expansionCandidates.filter(c => !added.includes(c.keyword)));
   };
 
+  const rerunKeywords = async (rows) => {
+    if (rows.length === 0) return;
+    await runKeywords(rows.map(r => ({ keyword: r.keyword, market: r.market })), results);
+  };
+
+  const retryFailed = () => rerunKeywords(results.filter(r => r.error));
+
   const getOpportunityScore = (item) => {
     if (item.error) return null;
-    const supply = item.audiobooks;
-    const demand = item.estimatedTrendsInterest;
-    return Math.round(demand / (supply + 1) * 100);
+    return scorer(item).score;
   };
 
-  const totalAudiobooks = results.reduce((sum, r) => sum + (r.audiobooks > 0 ? r.audiobooks : 0), 0);
-  const avgPopularityScore = results.length > 0
-    ? Math.round(results.reduce((sum, r) => sum + (r.avgPopularity || 0), 0) / results.filter(r => !r.error).length)
-    : 0;
-  const validResults = results.filter(r => !r.error).length;
-
-  const sortedByOpportunity = [...results].sort((a, b) => {
-    const scoreA = getOpportunityScore(a) || -1;
-    const scoreB = getOpportunityScore(b) || -1;
-    return scoreB - scoreA;
+  const buildRun = (keys) => ({
+    exportedAt: new Date().toISOString(),
+    settings: { markets, deepSearch, maxPages, demandSource: demandProvider.label, scoringModel },
+    results: scoreResults(results, { provider: demandProvider, model: scoringModel })
+      .filter(r => (keys ? keys.includes(resultKey(r)) : !tagFilter || tagsOf(r).includes(tagFilter)))
+      .map(r => ({ ...r, tags: tagsOf(r) }))
   });
 
-  const topOpportunities = sortedByOpportunity.filter(r => !r.error).slice(0, 10);
+  const exportAs = async (format, keys) => {
+    try {
+      await downloadRun(buildRun(keys), format, { chartSvg: chartSvg(matrixRef.current) });
+    } catch (err) {
+      setError(`Could not export ${format.label}: ${err.message}`);
+    }
+  };
+
+  const shareReport = async (expiresInDays) => {
+    setIsSharing(true);
+    try {
+      const response = await fetch('/api/reports', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ run: buildRun(), expiresInDays })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      rememberSharedReport(data);
+      setSharedReport(data);
+    } catch (err) {
+      setError('Could not share report: ' + err.message);
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  const unshare = async () => {
+    try {
+      await unshareReport(sharedReport);
+      setSharedReport(null);
+    } catch (err) {
+      setError('Could not delete shared report: ' + err.message);
+    }
+  };
+
+  const tagsOf = (row) => keywordMeta[normalizeKeyword(row.keyword)]?.tags || [];
+  const allTags = [...new Set(Object.values(keywordMeta).flatMap(meta => meta.tags || []))].sort();
+  const visibleResults = tagFilter ? analyzedResults.filter(r => tagsOf(r).includes(tagFilter)) : analyzedResults;
+
+  const clusterOf = new Map(clusters.flatMap(cluster => cluster.members.map(member => [member, cluster])));
+  const matrixData = visibleResults
+    .filter(r => !r.error && r.demand !== null)
+    .map(r => ({ ...r, score: getOpportunityScore(r) }));
+  const unmatchedDemand = visibleResults.filter(r => !r.error && !r.demandMatched);
+  const selectedResult = selectedKey ? analyzedResults.find(r => resultKey(r) === selectedKey && !r.error) : null;
+  const resultMarkets = [...new Set(visibleResults.map(r => r.market).filter(Boolean))];
 
   return (
     <div style={{ minHeight: '100vh', background: 'linear-gradient(to bottom right, #0f172a, #1e293b, #0f172a)', padding: '24px' }}>
@@ -211,7 +572,7 @@ export default function AudiobookResearchTool() {
               <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
                 <div>
                   <label style={{ display: 'block', fontSize: '14px', fontWeight: '500', color: '#cbd5e1', marginBottom: '8px' }}>
-                    Client ID
+                    Client ID{serverCredentials && <span style={{ color: '#64748b', fontWeight: '400' }}> (optional override)</span>}
                   </label>
                   <input
                     type="text"
@@ -219,13 +580,13 @@ export default function AudiobookResearchTool() {
                     onChange={(e) => setClientId(e.target.value)}
                     placeholder="Paste your Client ID"
                     style={{ width: '100%', padding: '8px 12px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff' }}
-                    disabled={isSearching || !!accessToken}
+                    disabled={isSearching || !!credentialSource}
                   />
                 </div>
 
                 <div>
                   <label style={{ display: 'block', fontSize: '14px', fontWeight: '500', color: '#cbd5e1', marginBottom: '8px' }}>
-                    Client Secret
+                    Client Secret{serverCredentials && <span style={{ color: '#64748b', fontWeight: '400' }}> (optional override)</span>}
                   </label>
                   <input
                     type="password"
@@ -233,25 +594,35 @@ export default function AudiobookResearchTool() {
                     onChange={(e) => setClientSecret(e.target.value)}
                     placeholder="Paste your Client Secret"
                     style={{ width: '100%', padding: '8px 12px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff' }}
-                    disabled={isSearching || !!accessToken}
+                    disabled={isSearching || !!credentialSource}
                   />
                 </div>
 
-                {!accessToken ? (
-                  <button
-                    onClick={requestAccessToken}
-                    disabled={isSearching}
-                    style={{ width: '100%', backgroundColor: '#2563eb', color: '#fff', fontWeight: '500', padding: '8px 16px', borderRadius: '4px', border: 'none', cursor: 'pointer', transition: 'all 0.2s' }}
-                    onMouseOver={(e) => !isSearching && (e.target.style.backgroundColor = '#1d4ed8')}
-                    onMouseOut={(e) => !isSearching && (e.target.style.backgroundColor = '#2563eb')}
-                  >
-                    Request Access Token
-                  </button>
+                {!credentialSource ? (
+                  <>
+                    <button
+                      onClick={requestAccessToken}
+                      disabled={isSearching}
+                      style={{ width: '100%', backgroundColor: '#2563eb', color: '#fff', fontWeight: '500', padding: '8px 16px', borderRadius: '4px', border: 'none', cursor: 'pointer', transition: 'all 0.2s' }}
+                      onMouseOver={(e) => !isSearching && (e.target.style.backgroundColor = '#1d4ed8')}
+                      onMouseOut={(e) => !isSearching && (e.target.style.backgroundColor = '#2563eb')}
+                    >
+                      Request Access Token
+                    </button>
+                    {serverCredentials && (
+                      <button
+                        onClick={() => { setCredentialSource('server'); setTokenStatus('✓ Using server credentials'); }}
+                        style={{ fontSize: '12px', color: '#94a3b8', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+                      >
+                        Use server credentials instead
+                      </button>
+                    )}
+                  </>
                 ) : (
                   <div style={{ backgroundColor: 'rgba(20, 83, 45, 0.3)', border: '1px solid #15803d', borderRadius: '8px', padding: '12px' }}>
                     <p style={{ color: '#86efac', fontSize: '14px', fontWeight: '500' }}>{tokenStatus}</p>
                     <button
-                      onClick={() => { setAccessToken(''); setTokenStatus(''); }}
+                      onClick={() => { setCredentialSource(''); setTokenStatus(''); }}
                       style={{ fontSize: '12px', color: '#4ade80', marginTop: '8px', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
                     >
                       Use different credentials
@@ -271,33 +642,222 @@ export default function AudiobookResearchTool() {
                     disabled={isSearching}
                   />
                   <p style={{ fontSize: '12px', color: '#64748b', marginTop: '8px' }}>
-                    {keywords.split('\n').filter(k => k.trim()).length} keywords
+                    {keywordEntries.length} keywords
+                    {parseKeywordList(keywords).length > keywordEntries.length && ` · ${parseKeywordList(keywords).length - keywordEntries.length} duplicates will be merged`}
                   </p>
                 </div>
 
-                <button
-                  onClick={handleSearch}
-                  disabled={isSearching || !accessToken}
-                  style={{ width: '100%', backgroundColor: '#16a34a', color: '#fff', fontWeight: '500', padding: '8px 16px', borderRadius: '4px', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px', opacity: (isSearching || !accessToken) ? 0.5 : 1 }}
-                  onMouseOver={(e) => !isSearching && !accessToken || (e.target.style.backgroundColor = '#15803d')}
-                  onMouseOut={(e) => !isSearching && !accessToken || (e.target.style.backgroundColor = '#16a34a')}
-                >
-                  {isSearching ? <Pause size={18} /> : <Play size={18} />}
-                  {isSearching ? 'Searching...' : 'Start Research'}
-                </button>
+                <KeywordProjects
+                  projects={projects}
+                  activeProjectId={activeProjectId}
+                  entries={keywordEntries}
+                  disabled={isSearching}
+                  onSelect={openProject}
+                  onSave={saveProject}
+                  onDelete={deleteProject}
+                  onImport={importKeywordFile}
+                  onUpdateEntry={updateKeywordEntry}
+                />
+
+                <KeywordExpansion
+                  candidates={expansionCandidates}
+                  isExpanding={isExpanding}
+                  disabled={isSearching || !credentialSource}
+                  onExpand={expandSeeds}
+                  onAdd={addExpandedKeywords}
+                />
+
+                <div>
+                  <label style={{ display: 'block', fontSize: '14px', fontWeight: '500', color: '#cbd5e1', marginBottom: '8px' }}>
+                    Markets
+                  </label>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+                    {MARKETS.map(market => {
+                      const active = markets.includes(market.code);
+                      return (
+                        <button
+                          key={market.code}
+                          title={market.label}
+                          onClick={() => setMarkets(active ? markets.filter(m => m !== market.code) : [...markets, market.code])}
+                          disabled={isSearching}
+                          style={{ padding: '4px 10px', borderRadius: '4px', fontSize: '12px', border: `1px solid ${active ? marketColor(market.code) : '#475569'}`, backgroundColor: active ? '#334155' : 'transparent', color: active ? '#fff' : '#94a3b8', cursor: 'pointer' }}
+                        >
+                          {market.code}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  <p style={{ fontSize: '12px', color: '#64748b', marginTop: '8px' }}>
+                    {markets.length > 0 ? `${markets.length} markets selected` : 'No market selected: Spotify infers one per request'}
+                  </p>
+                </div>
+
+                <div>
+                  <label style={{ display: 'block', fontSize: '14px', fontWeight: '500', color: '#cbd5e1', marginBottom: '8px' }}>
+                    Demand source
+                  </label>
+                  <select
+                    value={demandSource}
+                    onChange={(e) => setDemandSource(e.target.value)}
+                    style={{ width: '100%', padding: '8px 12px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff' }}
+                  >
+                    <option value="heuristic">{heuristicProvider.label}</option>
+                    <option value="imported" disabled={demandRecords.length === 0}>
+                      {demandRecords.length > 0 ? `Imported: ${demandFileName}` : 'Imported data (load a file)'}
+                    </option>
+                  </select>
+                  <input
+                    type="file"
+                    accept=".csv,.tsv,.txt,.json"
+                    onChange={(e) => { importDemandFile(e.target.files[0]); e.target.value = ''; }}
+                    style={{ width: '100%', marginTop: '8px', fontSize: '12px' }}
+                  />
+                  <p style={{ fontSize: '12px', color: '#64748b', marginTop: '8px' }}>
+                    Keyword Planner, Google Trends or any CSV/JSON with keyword and volume columns
+                    {demandRecords.length > 0 && ` · ${demandRecords.length} keywords loaded`}
+                  </p>
+                  {demandSource === 'imported' && unmatchedDemand.length > 0 && (
+                    <p style={{ fontSize: '12px', color: '#f59e0b', marginTop: '4px' }} title={unmatchedDemand.map(resultKey).join('\n')}>
+                      {unmatchedDemand.length} keywords have no imported demand and are left out of the ranking
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label style={{ display: 'block', fontSize: '14px', fontWeight: '500', color: '#cbd5e1', marginBottom: '8px' }}>
+                    Trend baseline
+                  </label>
+                  <input
+                    type="file"
+                    accept=".csv,.json"
+                    onChange={(e) => { importBaselineFile(e.target.files[0]); e.target.value = ''; }}
+                    style={{ width: '100%', fontSize: '12px' }}
+                  />
+                  <p style={{ fontSize: '12px', color: '#64748b', marginTop: '8px' }}>
+                    {baselineName
+                      ? `Comparing against ${baselineName} (${previousResults.length} keywords)`
+                      : 'Comparing against saved history. Load a CSV or JSON export to compare against it instead'}
+                    {baselineName && (
+                      <button
+                        onClick={clearBaseline}
+                        style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', textDecoration: 'underline', fontSize: '12px', marginLeft: '8px' }}
+                      >
+                        Clear
+                      </button>
+                    )}
+                  </p>
+                </div>
+
+                <div>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', fontWeight: '500', color: '#cbd5e1' }}>
+                    <input
+                      type="checkbox"
+                      checked={deepSearch}
+                      onChange={(e) => setDeepSearch(e.target.checked)}
+                      disabled={isSearching}
+                    />
+                    Deep analysis (paginate and load full audiobooks)
+                  </label>
+                  {deepSearch && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px', fontSize: '12px', color: '#94a3b8' }}>
+                      <span>Pages per keyword</span>
+                      <input
+                        type="number"
+                        min={1}
+                        max={20}
+                        value={maxPages}
+                        onChange={(e) => setMaxPages(Math.min(20, Math.max(1, Number(e.target.value) || 1)))}
+                        style={{ width: '72px', padding: '4px 8px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff' }}
+                        disabled={isSearching}
+                      />
+                      <span>({maxPages * PAGE_SIZE} results max)</span>
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <label style={{ display: 'block', fontSize: '14px', fontWeight: '500', color: '#cbd5e1', marginBottom: '8px' }}>
+                    Parallel requests
+                  </label>
+                  <input
+                    type="number"
+                    min={1}
+                    max={10}
+                    value={concurrency}
+                    onChange={(e) => setConcurrency(Math.min(10, Math.max(1, Number(e.target.value) || 1)))}
+                    style={{ width: '100%', padding: '8px 12px', backgroundColor: '#334155', border: '1px solid #475569', borderRadius: '4px', color: '#fff' }}
+                    disabled={isSearching}
+                  />
+                </div>
+
+                {!isSearching ? (
+                  <button
+                    onClick={handleSearch}
+                    disabled={!credentialSource}
+                    style={{ width: '100%', backgroundColor: '#16a34a', color: '#fff', fontWeight: '500', padding: '8px 16px', borderRadius: '4px', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px', opacity: !credentialSource ? 0.5 : 1 }}
+                    onMouseOver={(e) => !credentialSource || (e.target.style.backgroundColor = '#15803d')}
+                    onMouseOut={(e) => !credentialSource || (e.target.style.backgroundColor = '#16a34a')}
+                  >
+                    <Play size={18} />
+                    Start Research
+                  </button>
+                ) : (
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <button
+                      onClick={() => controlResearch(isPaused ? 'resume' : 'pause')}
+                      style={{ flex: 1, backgroundColor: '#2563eb', color: '#fff', fontWeight: '500', padding: '8px 16px', borderRadius: '4px', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}
+                    >
+                      {isPaused ? <Play size={18} /> : <Pause size={18} />}
+                      {isPaused ? 'Resume' : 'Pause'}
+                    </button>
+                    <button
+                      onClick={() => controlResearch('cancel')}
+                      style={{ flex: 1, backgroundColor: '#334155', color: '#fff', fontWeight: '500', padding: '8px 16px', borderRadius: '4px', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}
+                    >
+                      <Square size={18} />
+                      Cancel
+                    </button>
+                  </div>
+                )}
 
                 {isSearching && (
                   <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
                     <div style={{ width: '100%', backgroundColor: '#334155', borderRadius: '8px', height: '8px', overflow: 'hidden' }}>
                       <div
-                        style={{ backgroundColor: '#16a34a', height: '100%', transition: 'all 0.3s', width: `${progress}%` }}
+                        style={{ backgroundColor: isPaused ? '#f59e0b' : '#16a34a', height: '100%', transition: 'all 0.3s', width: `${progress}%` }}
                       />
                     </div>
-                    <p style={{ fontSize: '12px', color: '#64748b', textAlign: 'center' }}>{progress}% complete</p>
+                    <p style={{ fontSize: '12px', color: '#64748b', textAlign: 'center' }}>
+                      {progress}% complete{isPaused ? ' (paused)' : ''}
+                    </p>
+                    {throttledUntil > Date.now() && (
+                      <p style={{ fontSize: '12px', color: '#f59e0b', textAlign: 'center' }}>
+                        Rate limited by Spotify, resuming at {new Date(throttledUntil).toLocaleTimeString()}
+                      </p>
+                    )}
                   </div>
                 )}
+
+                {!isSearching && results.some(r => r.error) && (
+                  <button
+                    onClick={retryFailed}
+                    disabled={!credentialSource}
+                    style={{ width: '100%', backgroundColor: '#334155', color: '#fff', fontWeight: '500', padding: '8px 16px', borderRadius: '4px', border: 'none', cursor: 'pointer', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px' }}
+                  >
+                    <RotateCcw size={18} />
+                    Retry {results.filter(r => r.error).length} failed keywords
+                  </button>
+                )}
               </div>
             </div>
+
+            <ScoringModelEditor
+              model={scoringModel}
+              presets={scoringPresets}
+              onChange={setScoringModel}
+              onSavePreset={saveScoringPreset}
+              onDeletePreset={deleteScoringPreset}
+            />
           </div>
 
           <div style={{ gridColumn: 'span 2', display: 'flex', flexDirection: 'column', gap: '16px' }}>
@@ -313,100 +873,78 @@ export default function AudiobookResearchTool() {
 
             {results.length > 0 && (
               <>
-                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '12px' }}>
-                  {[
-                    { label: 'Keywords', value: validResults, color: '#fff' },
-                    { label: 'Total Audiobooks', value: totalAudiobooks, color: '#4ade80' },
-                    { label: 'Avg Popularity', value: avgPopularityScore, color: '#60a5fa' },
-                    { label: 'Best Opportunity', value: topOpportunities[0] ? getOpportunityScore(topOpportunities[0]) : '-', color: '#c084fc' }
-                  ].map((stat, i) => (
-                    <div key={i} style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '16px', border: '1px solid #334155' }}>
-                      <p style={{ color: '#94a3b8', fontSize: '12px' }}>{stat.label}</p>
-                      <p style={{ fontSize: '24px', fontWeight: 'bold', color: stat.color }}>{stat.value}</p>
-                    </div>
-                  ))}
-                </div>
-
-                <div style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '24px', border: '1px solid #334155' }}>
-                  <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#fff', marginBottom: '16px' }}>Demand vs. Supply Matrix</h3>
-                  <div style={{ height: '384px' }}>
-                    <ResponsiveContainer width="100%" height="100%">
-                      <ScatterChart margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
-                        <CartesianGrid strokeDasharray="3 3" stroke="#475569" />
-                        <XAxis type="number" dataKey="x" stroke="#94a3b8" />
-                        <YAxis type="number" dataKey="y" stroke="#94a3b8" />
-                        <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #475569' }} />
-                        <Scatter name="Keywords" data={results.filter(r => !r.error)}>
-                          {results.map((entry, index) => {
-                            if (entry.error) return null;
-                            const opportunity = getOpportunityScore(entry);
-                            let color = '#ef4444';
-                            if (opportunity > 50) color = '#22c55e';
-                            else if (opportunity > 20) color = '#f59e0b';
-                            return <Cell key={index} fill={color} />;
-                          })}
-                        </Scatter>
-                      </ScatterChart>
-                    </ResponsiveContainer>
+                {allTags.length > 0 && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px' }}>
+                    <Tag size={16} color="#94a3b8" />
+                    {['', ...allTags].map(tag => (
+                      <button
+                        key={tag || 'all'}
+                        onClick={() => setTagFilter(tag)}
+                        style={{ padding: '4px 10px', borderRadius: '9999px', fontSize: '12px', border: `1px solid ${tagFilter === tag ? '#c084fc' : '#475569'}`, backgroundColor: tagFilter === tag ? '#334155' : 'transparent', color: tagFilter === tag ? '#fff' : '#94a3b8', cursor: 'pointer' }}
+                      >
+                        {tag || 'All keywords'}
+                      </button>
+                    ))}
                   </div>
-                </div>
+                )}
 
-                <div style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '24px', border: '1px solid #334155' }}>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
-                    <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#fff' }}>Top Opportunities</h3>
-                    <button
-                      onClick={downloadCSV}
-                      style={{ display: 'flex', alignItems: 'center', gap: '8px', backgroundColor: '#334155', color: '#fff', padding: '6px 12px', borderRadius: '4px', border: 'none', cursor: 'pointer', fontSize: '14px' }}
-                    >
-                      <Download size={16} /> Export CSV
-                    </button>
-                  </div>
-                  <div style={{ overflowX: 'auto' }}>
-                    <table style={{ width: '100%', fontSize: '14px', borderCollapse: 'collapse' }}>
-                      <thead>
-                        <tr style={{ borderBottom: '1px solid #334155' }}>
-                          <th style={{ textAlign: 'left', padding: '12px 16px', color: '#cbd5e1', fontWeight: '500' }}>Keyword</th>
-                          <th style={{ textAlign: 'right', padding: '12px 16px', color: '#cbd5e1', fontWeight: '500' }}>Supply</th>
-                          <th style={{ textAlign: 'right', padding: '12px 16px', color: '#cbd5e1', fontWeight: '500' }}>Demand</th>
-                          <th style={{ textAlign: 'right', padding: '12px 16px', color: '#cbd5e1', fontWeight: '500' }}>Popularity</th>
-                          <th style={{ textAlign: 'right', padding: '12px 16px', color: '#cbd5e1', fontWeight: '500' }}>Trend</th>
-                          <th style={{ textAlign: 'right', padding: '12px 16px', color: '#cbd5e1', fontWeight: '500' }}>Score</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {topOpportunities.map((result, idx) => {
-                          const opportunity = getOpportunityScore(result);
-                          return (
-                            <tr key={idx} style={{ borderBottom: '1px solid #334155' }}>
-                              <td style={{ padding: '12px 16px', color: '#fff' }}>{result.keyword}</td>
-                              <td style={{ padding: '12px 16px', textAlign: 'right', color: '#cbd5e1' }}>{result.audiobooks}</td>
-                              <td style={{ padding: '12px 16px', textAlign: 'right', color: '#60a5fa' }}>{result.estimatedTrendsInterest}</td>
-                              <td style={{ padding: '12px 16px', textAlign: 'right', color: '#4ade80' }}>{result.avgPopularity}</td>
-                              <td style={{ padding: '12px 16px', textAlign: 'right' }}>
-                                {result.popularityTrend !== 0 && (
-                                  <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: '4px' }}>
-                                    {result.popularityTrend > 0 ? (
-                                      <TrendingUp size={14} style={{ color: '#4ade80' }} />
-                                    ) : (
-                                      <TrendingDown size={14} style={{ color: '#f87171' }} />
-                                    )}
-                                    <span style={{ color: result.popularityTrend > 0 ? '#4ade80' : '#f87171' }}>
-                                      {result.popularityTrend > 0 ? '+' : ''}{result.popularityTrend}
-                                    </span>
-                                  </div>
-                                )}
-                              </td>
-                              <td style={{ padding: '12px 16px', textAlign: 'right', fontWeight: '600', color: '#c084fc' }}>{opportunity}</td>
-                            </tr>
-                          );
-                        })}
-                      </tbody>
-                    </table>
-                  </div>
-                </div>
+                <ShareReport
+                  shared={sharedReport}
+                  isSharing={isSharing}
+                  disabled={isSearching}
+                  onShare={shareReport}
+                  onDelete={unshare}
+                />
+
+                <StatCards results={visibleResults} getScore={getOpportunityScore} />
+
+                <OpportunityMatrix
+                  data={matrixData}
+                  markets={resultMarkets}
+                  tiers={scoringModel.tiers}
+                  chartRef={matrixRef}
+                  onSelect={setSelectedKey}
+                  onDownload={downloadFile}
+                />
+
+                <ResultsTable
+                  results={visibleResults}
+                  scorer={scorer}
+                  tiers={scoringModel.tiers}
+                  tagsOf={tagsOf}
+                  clusterOf={clusterOf}
+                  collapseClusters={collapseClusters}
+                  onCollapseClustersChange={setCollapseClusters}
+                  exportFormats={EXPORT_FORMATS}
+                  onExport={exportAs}
+                  onRerun={rerunKeywords}
+                  onSelect={setSelectedKey}
+                  disabled={isSearching}
+                />
               </>
             )}
 
+            {overlap.pairs.length > 0 && (
+              <KeywordClusters
+                overlap={overlap}
+                clusters={clusters}
+                threshold={overlapThreshold}
+                onThresholdChange={setOverlapThreshold}
+                onSelect={setSelectedKey}
+              />
+            )}
+
+            {resultMarkets.length > 1 && (
+              <MarketComparison results={visibleResults} getOpportunityScore={getOpportunityScore} />
+            )}
+
+            {Object.keys(history).length > 0 && (
+              <KeywordHistoryChart
+                history={history}
+                keywords={[...new Set([...results.map(baselineKey), ...Object.keys(history)])]}
+              />
+            )}
+
             {results.length === 0 && !isSearching && (
               <div style={{ backgroundColor: '#1e293b', borderRadius: '12px', padding: '48px', border: '1px solid #334155', textAlign: 'center' }}>
                 <p style={{ color: '#94a3b8' }}>Enter keywords and start researching to see results</p>
@@ -415,6 +953,10 @@ export default function AudiobookResearchTool() {
           </div>
         </div>
       </div>
+
+      {selectedResult && (
+        <KeywordDetailPanel result={selectedResult} onClose={() => setSelectedKey(null)} />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,131 @@
+'use client';
+
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { AlertCircle, Trash2 } from 'lucide-react';
+import StatCards from '../../components/StatCards';
+import OpportunityMatrix from '../../components/OpportunityMatrix';
+import ResultsTable from '../../components/ResultsTable';
+import { BUILT_IN_PRESETS, createScorer } from '../../../lib/scoring.js';
+import { resultKey } from '../../../lib/markets.js';
+import { EXPORT_FORMATS } from '../../../lib/export.js';
+import { downloadFile, downloadRun } from '../../../lib/download.js';
+import { chartSvg } from '../../../lib/chart-image.js';
+import { knownSharedReport, unshareReport } from '../../../lib/shared-reports.js';
+
+// Read-only view of a shared run. Everything is rendered from the stored
+// rows, so no Spotify credentials are involved. The browser that shared it
+// still holds its delete token and is offered "Unshare".
+export default function SharedReport({ params }) {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [owned, setOwned] = useState(null);
+  const [deleted, setDeleted] = useState(false);
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    setOwned(knownSharedReport(params.id));
+  }, [params.id]);
+
+  useEffect(() => {
+    fetch(`/api/reports?id=${encodeURIComponent(params.id)}`)
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Reports API error: ${response.status}`);
+        setReport(data.report);
+      })
+      .catch(err => setError(err.message));
+  }, [params.id]);
+
+  const results = report ? report.run.results : [];
+  const model = report?.run.settings?.scoringModel || BUILT_IN_PRESETS[0];
+  const scorer = useMemo(() => (report?.run.settings?.scoringModel
+    ? createScorer(model, results.filter(r => !r.error))
+    : (row) => ({ score: row.score ?? null, breakdown: [] })), [report]);
+
+  const matrixData = results.filter(r => !r.error && r.demand !== null && r.demand !== undefined);
+  const markets = [...new Set(results.map(r => r.market).filter(Boolean))];
+
+  const unshare = async () => {
+    try {
+      await unshareReport(owned);
+      setOwned(null);
+      setReport(null);
+      setDeleted(true);
+    } catch (err) {
+      setError('Could not delete shared report: ' + err.message);
+    }
+  };
+
+  const exportAs = async (format, keys) => {
+    const run = { ...report.run, results: results.filter(r => keys.includes(resultKey(r))) };
+    try {
+      await downloadRun(run, format, { chartSvg: chartSvg(chartRef.current) });
+    } catch (err) {
+      setError(`Could not export ${format.label}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', background: 'linear-gradient(to bottom right, #0f172a, #1e293b, #0f172a)', padding: '24px' }}>
+      <div style={{ maxWidth: '80rem', margin: '0 auto', display: 'flex', flexDirection: 'column', gap: '16px' }}>
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+            <h1 style={{ fontSize: '36px', fontWeight: 'bold', color: '#fff' }}>Audiobook Market Research</h1>
+            {owned && report && (
+              <button onClick={unshare} title="Delete shared report" style={{ display: 'flex', alignItems: 'center', gap: '6px', backgroundColor: 'transparent', color: '#f87171', padding: '6px 12px', borderRadius: '4px', border: '1px solid #475569', cursor: 'pointer', fontSize: '13px' }}>
+                <Trash2 size={14} /> Unshare
+              </button>
+            )}
+          </div>
+          {report && (
+            <p style={{ color: '#94a3b8' }}>
+              Shared report · researched {new Date(report.run.exportedAt).toLocaleString()}
+              {model.name && ` · Scoring: ${model.name}`}
+              {report.run.settings?.demandSource && ` · Demand: ${report.run.settings.demandSource}`}
+              {report.expiresAt && ` · Available until ${new Date(report.expiresAt).toLocaleString()}`}
+            </p>
+          )}
+        </div>
+
+        {error && (
+          <div style={{ backgroundColor: 'rgba(127, 29, 29, 0.5)', border: '1px solid #dc2626', borderRadius: '12px', padding: '16px', display: 'flex', gap: '12px' }}>
+            <AlertCircle size={20} style={{ color: '#f87171', flexShrink: 0, marginTop: '4px' }} />
+            <div>
+              <p style={{ color: '#fecaca', fontWeight: '500' }}>Error</p>
+              <p style={{ color: '#fca5a5', fontSize: '14px' }}>{error}</p>
+            </div>
+          </div>
+        )}
+
+        {deleted && (
+          <p style={{ color: '#94a3b8', textAlign: 'center', padding: '48px' }}>This report is no longer shared.</p>
+        )}
+
+        {!report && !error && !deleted && (
+          <p style={{ color: '#94a3b8', textAlign: 'center', padding: '48px' }}>Loading report...</p>
+        )}
+
+        {report && (
+          <>
+            <StatCards results={results} getScore={(row) => scorer(row).score} />
+            <OpportunityMatrix
+              data={matrixData.map(r => ({ ...r, score: scorer(r).score }))}
+              markets={markets}
+              tiers={model.tiers}
+              chartRef={chartRef}
+              onDownload={downloadFile}
+            />
+            <ResultsTable
+              results={results}
+              scorer={scorer}
+              tiers={model.tiers}
+              tagsOf={(row) => row.tags || []}
+              exportFormats={EXPORT_FORMATS}
+              onExport={exportAs}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
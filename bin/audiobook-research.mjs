@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { resolveCredentials, spotifyGet, isAuthError } from '../lib/spotify.js';
+import { MARKETS, resultKey } from '../lib/markets.js';
+import { parseDemandFile, heuristicProvider, createImportedProvider, normalizeKeyword } from '../lib/demand.js';
+import { findPreset } from '../lib/preset-store.js';
+import { listSnapshots, saveSnapshots } from '../lib/history-store.js';
+import { parseKeywordFile } from '../lib/projects.js';
+import { buildJobs, groupByResultKey, latestByResultKey, indexBaseline, createResearchRunner, scoreResults } from '../lib/research.js';
+import { toCSVExport, toJSONExport, toMarkdownReport, toHTMLReport, parseResultsFile } from '../lib/export.js';
+
+const USAGE = `Usage: audiobook-research <keyword-file> [options]
+
+Searches Spotify audiobooks for every keyword and writes the scored results.
+The keyword file is plain text (one keyword per line) or CSV with keyword,
+tags and notes columns. Credentials come from SPOTIFY_CLIENT_ID and
+SPOTIFY_CLIENT_SECRET. Set SPOTIFY_ACCOUNTS_URL and SPOTIFY_API_URL to run
+against the local stand-in (see spotify-stand-in --help), and
+SPOTIFY_RECORD_DIR to record responses as fixtures for it.
+
+Options:
+  -m, --market <codes>     Comma-separated markets, e.g. US,GB (default: none)
+  -t, --tag <tag>          Only research keywords carrying this tag
+  -p, --preset <name>      Scoring preset, built-in or saved (default: Classic ratio)
+  -d, --demand <file>      Keyword Planner / Google Trends file to use as demand
+  -b, --baseline <file>    Previous CSV/JSON export to compute trends against
+                           (default: latest saved history)
+  -f, --format <format>    csv, json, xlsx, md or html (default: csv)
+  -o, --out <file>         Output path (default: audiobook-research-<date>.<format>)
+  -c, --concurrency <n>    Parallel requests (default: 3)
+      --deep               Paginate and load full audiobooks
+      --pages <n>          Pages per keyword with --deep (default: 4)
+      --no-history         Do not read or save history snapshots
+  -q, --quiet              Only print errors
+  -h, --help               Show this help
+
+Exit codes: 0 all keywords succeeded, 1 one or more keywords failed,
+2 invalid usage or configuration.`;
+
+const FORMATS = ['csv', 'json', 'xlsx', 'md', 'html'];
+
+class UsageError extends Error {}
+
+function readOptions() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      market: { type: 'string', short: 'm' },
+      tag: { type: 'string', short: 't' },
+      preset: { type: 'string', short: 'p', default: 'Classic ratio' },
+      demand: { type: 'string', short: 'd' },
+      baseline: { type: 'string', short: 'b' },
+      format: { type: 'string', short: 'f', default: 'csv' },
+      out: { type: 'string', short: 'o' },
+      concurrency: { type: 'string', short: 'c', default: '3' },
+      deep: { type: 'boolean', default: false },
+      pages: { type: 'string', default: '4' },
+      'no-history': { type: 'boolean', default: false },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new UsageError('Expected exactly one keyword file');
+
+  const markets = values.market ? values.market.split(',').map(m => m.trim().toUpperCase()).filter(Boolean) : [];
+  const unknown = markets.filter(m => !MARKETS.some(market => market.code === m));
+  if (unknown.length > 0) throw new UsageError(`Unknown market: ${unknown.join(', ')}`);
+
+  const format = values.format.toLowerCase();
+  if (!FORMATS.includes(format)) throw new UsageError(`Unknown format "${values.format}" (use ${FORMATS.join(', ')})`);
+
+  const concurrency = Number(values.concurrency);
+  const maxPages = Number(values.pages);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new UsageError('--concurrency must be a positive integer');
+  if (!Number.isInteger(maxPages) || maxPages < 1) throw new UsageError('--pages must be a positive integer');
+
+  return {
+    keywordFile: positionals[0],
+    markets,
+    tag: values.tag ? normalizeKeyword(values.tag) : null,
+    presetName: values.preset,
+    demandFile: values.demand,
+    baselineFile: values.baseline,
+    format,
+    out: values.out || `audiobook-research-${new Date().toISOString().split('T')[0]}.${format}`,
+    concurrency,
+    deepSearch: values.deep,
+    maxPages,
+    useHistory: !values['no-history'],
+    quiet: values.quiet
+  };
+}
+
+async function loadBaseline({ baselineFile, useHistory }) {
+  if (baselineFile) {
+    const { results } = parseResultsFile(await fs.readFile(baselineFile, 'utf8'), baselineFile);
+    return indexBaseline(results);
+  }
+  if (!useHistory) return {};
+  return latestByResultKey(groupByResultKey(await listSnapshots()));
+}
+
+async function loadDemandProvider(demandFile) {
+  if (!demandFile) return heuristicProvider;
+  const records = parseDemandFile(await fs.readFile(demandFile, 'utf8'), demandFile);
+  if (records.length === 0) throw new UsageError(`No keyword volumes found in ${demandFile}`);
+  return createImportedProvider(records, path.basename(demandFile));
+}
+
+async function render(run, format) {
+  if (format === 'csv') return toCSVExport(run);
+  if (format === 'json') return toJSONExport(run);
+  if (format === 'md') return toMarkdownReport(run);
+  if (format === 'html') return toHTMLReport(run);
+  const { toXLSXExport } = await import('../lib/xlsx-export.js');
+  return Buffer.from(await (await toXLSXExport(run)).arrayBuffer());
+}
+
+async function main() {
+  const options = readOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const log = options.quiet ? () => {} : (message) => console.error(message);
+
+  const credentials = resolveCredentials();
+  if (!credentials) throw new UsageError('SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET must be set');
+
+  const model = await findPreset(options.presetName);
+  if (!model) throw new UsageError(`Unknown scoring preset "${options.presetName}"`);
+
+  const entries = parseKeywordFile(await fs.readFile(options.keywordFile, 'utf8'), options.keywordFile)
+    .filter(entry => !options.tag || entry.tags.includes(options.tag));
+  if (entries.length === 0) throw new UsageError(`No keywords in ${options.keywordFile}${options.tag ? ` tagged "${options.tag}"` : ''}`);
+  const tagsOf = new Map(entries.map(entry => [entry.keyword, entry.tags]));
+
+  const provider = await loadDemandProvider(options.demandFile);
+  const baseline = await loadBaseline(options);
+  const jobs = buildJobs(entries.map(entry => entry.keyword), options.markets);
+  const rows = new Map();
+  let authFailed = false;
+
+  log(`Researching ${jobs.length} keyword${jobs.length === 1 ? '' : 's'} with preset "${model.name}"`);
+
+  const runner = createResearchRunner({
+    get: (apiPath, query) => spotifyGet(apiPath, query, credentials),
+    jobs,
+    baseline,
+    concurrency: options.concurrency,
+    deepSearch: options.deepSearch,
+    maxPages: options.maxPages,
+    onRow: (row, err) => {
+      if (err && isAuthError(err)) {
+        authFailed = true;
+        runner.cancel();
+      }
+      rows.set(resultKey(row), row);
+      log(`[${rows.size}/${jobs.length}] ${resultKey(row)}: ${err ? `failed (${err.message})` : `${row.audiobooks} audiobooks`}`);
+    },
+    onStatus: (status, detail) => {
+      if (status === 'throttled') log(`Rate limited, waiting until ${new Date(detail.until).toLocaleTimeString()}`);
+    }
+  });
+
+  await runner.start();
+
+  if (authFailed) {
+    console.error('Spotify rejected the credentials. Check SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET.');
+    return 1;
+  }
+
+  // Keep the keyword file order rather than completion order.
+  const results = jobs.map(job => rows.get(resultKey(job))).filter(Boolean);
+  const run = {
+    exportedAt: new Date().toISOString(),
+    settings: { markets: options.markets, deepSearch: options.deepSearch, maxPages: options.maxPages, demandSource: provider.label, scoringModel: model },
+    results: scoreResults(results, { provider, model }).map(r => ({ ...r, tags: tagsOf.get(r.keyword) || [] }))
+  };
+
+  await fs.mkdir(path.dirname(path.resolve(options.out)), { recursive: true });
+  await fs.writeFile(options.out, await render(run, options.format));
+  log(`Wrote ${results.length} rows to ${options.out}`);
+
+  const completed = results.filter(r => !r.error);
+  if (options.useHistory && completed.length > 0) {
+    const { saved } = await saveSnapshots(completed);
+    log(`Saved ${saved} history snapshots`);
+  }
+
+  const failed = results.length - completed.length;
+  if (failed > 0 || results.length < jobs.length) {
+    console.error(`${failed} of ${jobs.length} keywords failed`);
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(err => {
+    console.error(err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS') ? `${err.message}\n\n${USAGE}` : `Error: ${err.message}`);
+    process.exitCode = 2;
+  });
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+import http from 'http';
+import { parseArgs } from 'util';
+import { defaultFixtureDir, readFixture } from '../lib/spotify-fixtures.js';
+import { syntheticSearch, syntheticAudiobooks } from '../lib/synthetic-spotify.js';
+
+const USAGE = `Usage: spotify-stand-in [options]
+
+Serves the parts of the Spotify accounts and Web API this tool uses, so it
+can run without network access or real credentials. Point the app or CLI at
+it with:
+
+  SPOTIFY_ACCOUNTS_URL=http://localhost:<port>
+  SPOTIFY_API_URL=http://localhost:<port>/v1
+
+Any client ID and secret are accepted. Fixtures are recorded from a real run
+by setting SPOTIFY_RECORD_DIR.
+
+Options:
+  -p, --port <n>           Port to listen on (default: 4010)
+      --fixtures <dir>     Recorded fixtures to replay (default: <data dir>/fixtures)
+      --mode <mode>        replay: fixtures only, 404 when missing
+                           synthetic: generated results only
+                           auto: fixtures, falling back to generated (default)
+  -s, --seed <seed>        Seed for generated results (default: seed)
+  -q, --quiet              Do not log requests
+  -h, --help               Show this help`;
+
+const MODES = ['auto', 'replay', 'synthetic'];
+const TOKEN_TTL_SECONDS = 3600;
+
+const GENERATORS = {
+  '/search': syntheticSearch,
+  '/audiobooks': syntheticAudiobooks
+};
+
+class UsageError extends Error {}
+
+function readOptions() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: '4010' },
+      fixtures: { type: 'string' },
+      mode: { type: 'string', default: 'auto' },
+      seed: { type: 'string', short: 's', default: 'seed' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError('--port must be a valid port number');
+  if (!MODES.includes(values.mode)) throw new UsageError(`Unknown mode "${values.mode}" (use ${MODES.join(', ')})`);
+
+  return {
+    port,
+    fixtureDir: values.fixtures || defaultFixtureDir(),
+    mode: values.mode,
+    seed: values.seed,
+    quiet: values.quiet
+  };
+}
+
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Error bodies follow Spotify's `{ error: { status, message } }` shape.
+const sendError = (res, status, message) => sendJSON(res, status, { error: { status, message } });
+
+function createHandler({ fixtureDir, mode, seed, quiet }) {
+  const log = quiet ? () => {} : (message) => console.error(message);
+
+  const respond = async (apiPath, query, generate) => {
+    const fixture = mode === 'synthetic' ? null : await readFixture(fixtureDir, apiPath, query);
+    if (fixture) return { body: fixture, source: 'fixture' };
+    if (mode === 'replay') return null;
+    return { body: generate(query, seed), source: 'synthetic' };
+  };
+
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+
+    try {
+      if (req.method === 'POST' && url.pathname === '/api/token') {
+        const result = await respond('/token', {}, () => ({
+          access_token: `stand-in-${seed}`,
+          token_type: 'Bearer',
+          expires_in: TOKEN_TTL_SECONDS
+        }));
+        log(`POST /api/token -> ${result ? result.source : 'missing'}`);
+        return result
+          ? sendJSON(res, 200, { ...result.body, expires_in: TOKEN_TTL_SECONDS })
+          : sendJSON(res, 400, { error: 'invalid_client', error_description: 'No recorded token fixture' });
+      }
+
+      const apiPath = url.pathname.replace(/^\/v1/, '');
+      const generate = GENERATORS[apiPath];
+      if (req.method !== 'GET' || !url.pathname.startsWith('/v1/') || !generate) {
+        return sendError(res, 404, 'Service not found');
+      }
+      if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+        return sendError(res, 401, 'No token provided');
+      }
+
+      const result = await respond(apiPath, query, generate);
+      log(`GET ${url.pathname}${url.search} -> ${result ? result.source : 'missing'}`);
+      return result ? sendJSON(res, 200, result.body) : sendError(res, 404, 'No recorded fixture for this request');
+    } catch (error) {
+      return sendError(res, 500, error.message);
+    }
+  };
+}
+
+function main() {
+  const options = readOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const server = http.createServer(createHandler(options));
+  server.listen(options.port, () => {
+    const base = `http://localhost:${server.address().port}`;
+    console.error(`Spotify stand-in listening on ${base} (mode: ${options.mode}, seed: ${options.seed})`);
+    console.error(`Fixtures: ${options.fixtureDir}`);
+    console.error(`Use SPOTIFY_ACCOUNTS_URL=${base} SPOTIFY_API_URL=${base}/v1`);
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS') ? `${err.message}\n\n${USAGE}` : `Error: ${err.message}`);
+  process.exitCode = 2;
+}
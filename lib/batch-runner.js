@@ -0,0 +1,116 @@
+import { SpotifyError } from './spotify-error.js';
+
+const sleep = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+// Network failures, rate limits and server errors are worth another try.
+const isRetryable = (error) => error instanceof SpotifyError
+  && (error.status === undefined || error.status === 429 || error.status >= 500);
+
+// Runs `worker` over `items` with a fixed number of parallel lanes. A 429
+// puts every lane on hold until the Retry-After window has passed; other
+// transient failures back off exponentially per item. Pausing lets in-flight
+// items finish but starts no new ones; cancelling aborts in-flight items and
+// drops their results, keeping everything already reported.
+export function createBatchRunner({
+  items,
+  worker,
+  concurrency = 3,
+  maxRetries = 4,
+  baseDelay = 500,
+  onResult = () => {},
+  onStatus = () => {}
+}) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  let status = 'idle';
+  let nextIndex = 0;
+  let cooldownUntil = 0;
+  let resumeWaiters = [];
+
+  const setStatus = (value, detail = {}) => {
+    status = value;
+    onStatus(value, detail);
+  };
+
+  const releaseWaiters = () => {
+    resumeWaiters.forEach(resolve => resolve());
+    resumeWaiters = [];
+  };
+
+  const waitWhilePaused = () => (status === 'paused'
+    ? new Promise(resolve => resumeWaiters.push(resolve))
+    : Promise.resolve());
+
+  const waitForCooldown = async () => {
+    while (!signal.aborted && cooldownUntil > Date.now()) {
+      await sleep(cooldownUntil - Date.now(), signal);
+    }
+  };
+
+  const backoff = (attempt, error) => (error.retryAfter !== undefined
+    ? error.retryAfter * 1000
+    : baseDelay * 2 ** attempt + Math.random() * baseDelay);
+
+  const processItem = async (item) => {
+    for (let attempt = 0; ; attempt++) {
+      await waitForCooldown();
+      if (signal.aborted) return null;
+
+      try {
+        return { value: await worker(item, { signal }) };
+      } catch (error) {
+        if (signal.aborted) return null;
+        if (attempt >= maxRetries || !isRetryable(error)) return { error };
+
+        const delay = backoff(attempt, error);
+        if (error.status === 429) {
+          cooldownUntil = Math.max(cooldownUntil, Date.now() + delay);
+          onStatus('throttled', { until: cooldownUntil });
+        }
+        await sleep(delay, signal);
+      }
+    }
+  };
+
+  const lane = async () => {
+    while (!signal.aborted) {
+      await waitWhilePaused();
+      if (signal.aborted || nextIndex >= items.length) return;
+
+      const index = nextIndex++;
+      const outcome = await processItem(items[index]);
+      if (outcome) onResult({ item: items[index], index, ...outcome });
+    }
+  };
+
+  return {
+    async start() {
+      setStatus('running');
+      const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane);
+      await Promise.all(lanes);
+      setStatus(signal.aborted ? 'cancelled' : 'completed');
+      return status;
+    },
+    pause() {
+      if (status === 'running') setStatus('paused');
+    },
+    resume() {
+      if (status !== 'paused') return;
+      setStatus('running');
+      releaseWaiters();
+    },
+    cancel() {
+      controller.abort();
+      releaseWaiters();
+    },
+    get status() {
+      return status;
+    }
+  };
+}
@@ -0,0 +1,63 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+// Loopback, private, link-local (cloud metadata), CGNAT and unspecified
+// ranges, checked against both literal and resolved addresses.
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16]
+];
+
+const toInt = (address) => address.split('.').reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+
+const inRange = (address, [base, bits]) => {
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (toInt(address) & mask) === (toInt(base) & mask);
+};
+
+export function isPrivateAddress(address) {
+  if (net.isIPv4(address)) return PRIVATE_V4.some(range => inRange(address, range));
+  const lower = address.toLowerCase();
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+const allowedHosts = () => (process.env.RESEARCH_CALLBACK_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// With RESEARCH_CALLBACK_HOSTS set, only those hosts (and their subdomains)
+// are accepted, internal ones included. Without it any public http(s) host
+// is, but nothing that is or resolves to a private address.
+export async function checkCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'callbackUrl must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'callbackUrl must be an http(s) URL';
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const allowed = allowedHosts();
+  if (allowed.length > 0) {
+    return allowed.some(entry => host === entry || host.endsWith(`.${entry}`))
+      ? null
+      : `callbackUrl host ${host} is not in RESEARCH_CALLBACK_HOSTS`;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    return `callbackUrl host ${host} could not be resolved`;
+  }
+  return addresses.some(isPrivateAddress) ? `callbackUrl host ${host} is a private address` : null;
+}
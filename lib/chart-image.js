@@ -0,0 +1,36 @@
+// Browser helpers for turning a rendered Recharts chart into standalone
+// SVG markup or a PNG blob.
+
+export function chartSvg(container) {
+  const svg = container?.querySelector('svg.recharts-surface');
+  if (!svg) return null;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', svg.clientWidth);
+  clone.setAttribute('height', svg.clientHeight);
+  return clone.outerHTML;
+}
+
+export function svgToPng(svg, { width, height, scale = 2, background = '#1e293b' }) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.fillStyle = background;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Chart could not be rendered as an image'));
+    };
+    image.src = url;
+  });
+}
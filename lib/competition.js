@@ -0,0 +1,101 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const COMPETITION_COLUMNS = [
+  { key: 'sampled', label: 'Sampled' },
+  { key: 'distinctAuthors', label: 'Authors' },
+  { key: 'distinctPublishers', label: 'Publishers' },
+  { key: 'distinctNarrators', label: 'Narrators' },
+  { key: 'topAuthorShare', label: 'Top Author %' },
+  { key: 'medianChapters', label: 'Median Chapters' },
+  { key: 'medianDurationMinutes', label: 'Median Length (min)' },
+  { key: 'medianAgeDays', label: 'Median Age (days)' },
+  { key: 'recentShare', label: 'Released <1y %' },
+  { key: 'languageCount', label: 'Languages' },
+  { key: 'topLanguage', label: 'Top Language' },
+  { key: 'editionCount', label: 'Editions' },
+  { key: 'topEdition', label: 'Top Edition' }
+];
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const countBy = (values) => values.reduce((counts, value) => {
+  counts.set(value, (counts.get(value) || 0) + 1);
+  return counts;
+}, new Map());
+
+const mostCommon = (counts) => [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+const share = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : null);
+
+const names = (people) => (people || []).map(p => p.name).filter(Boolean);
+
+// Chapters are only present on full audiobook objects, and only the first
+// page of them, so duration is extrapolated from the average chapter length.
+const durationMinutes = (book) => {
+  const chapters = book.chapters?.items || [];
+  if (chapters.length === 0) return null;
+  const total = chapters.reduce((sum, chapter) => sum + (chapter.duration_ms || 0), 0);
+  const chapterCount = book.total_chapters || chapters.length;
+  return Math.round((total / chapters.length) * chapterCount / 60000);
+};
+
+const releaseDate = (book) => {
+  const dates = (book.chapters?.items || [])
+    .map(chapter => Date.parse(chapter.release_date))
+    .filter(Number.isFinite);
+  return dates.length > 0 ? Math.min(...dates) : null;
+};
+
+export function toBookSummary(book) {
+  const images = book.images || [];
+  const released = releaseDate(book);
+  return {
+    id: book.id,
+    name: book.name,
+    cover: (images[images.length - 1] || images[0])?.url || null,
+    authors: names(book.authors),
+    narrators: names(book.narrators),
+    publisher: book.publisher || '',
+    releaseDate: released ? new Date(released).toISOString().split('T')[0] : null,
+    totalChapters: Number.isFinite(book.total_chapters) ? book.total_chapters : null,
+    durationMinutes: durationMinutes(book),
+    url: book.external_urls?.spotify || null
+  };
+}
+
+export function computeCompetitionMetrics(audiobooks, now = Date.now()) {
+  const books = audiobooks.filter(Boolean);
+  const authorCounts = countBy(books.flatMap(book => [...new Set(names(book.authors))]));
+  const publishers = new Set(books.map(book => book.publisher).filter(Boolean));
+  const narrators = new Set(books.flatMap(book => names(book.narrators)));
+  const languageCounts = countBy(books.flatMap(book => book.languages || []));
+  const editionCounts = countBy(books.map(book => book.edition).filter(Boolean));
+
+  const chapterCounts = books.map(book => book.total_chapters).filter(Number.isFinite);
+  const durations = books.map(durationMinutes).filter(d => d !== null);
+  const ages = books.map(releaseDate).filter(d => d !== null).map(d => Math.round((now - d) / DAY_MS));
+
+  const [topLanguage] = mostCommon(languageCounts);
+  const [topEdition] = mostCommon(editionCounts);
+
+  return {
+    sampled: books.length,
+    distinctAuthors: authorCounts.size,
+    distinctPublishers: publishers.size,
+    distinctNarrators: narrators.size,
+    topAuthorShare: share(mostCommon(authorCounts)[1], books.length),
+    medianChapters: median(chapterCounts),
+    medianDurationMinutes: median(durations),
+    medianAgeDays: median(ages),
+    recentShare: ages.length > 0 ? share(ages.filter(age => age <= 365).length, ages.length) : null,
+    languageCount: languageCounts.size,
+    topLanguage,
+    editionCount: editionCounts.size,
+    topEdition
+  };
+}
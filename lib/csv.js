@@ -0,0 +1,58 @@
+// RFC 4180 parsing: quoted fields may contain delimiters, newlines and
+// doubled quotes. Returns an array of rows, each an array of strings.
+export function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+export function detectDelimiter(text) {
+  const firstLines = text.split(/\r?\n/).slice(0, 10).join('\n');
+  const counts = [',', '\t', ';'].map(d => [d, firstLines.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCSV(rows) {
+  return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
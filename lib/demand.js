@@ -0,0 +1,118 @@
+import { parseCSV, detectDelimiter } from './csv.js';
+
+const KEYWORD_COLUMNS = ['keyword', 'keywords', 'query', 'search term', 'term', 'top', 'search query'];
+const VALUE_COLUMNS = ['avg. monthly searches', 'search volume', 'volume', 'monthly searches', 'interest', 'value', 'score', 'demand'];
+const MARKET_COLUMNS = ['market', 'country', 'geo', 'location'];
+
+export const normalizeKeyword = (keyword) => String(keyword).toLowerCase().replace(/\s+/g, ' ').trim();
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value ?? '').replace(/[,\s]/g, '').replace(/^<(\d+)$/, '$1');
+  if (cleaned === '') return NaN;
+  const range = cleaned.match(/^(\d+(?:\.\d+)?)[kK]?[-–](\d+(?:\.\d+)?)([kK]?)$/);
+  if (range) {
+    const scale = range[3] ? 1000 : 1;
+    return ((Number(range[1]) + Number(range[2])) / 2) * scale;
+  }
+  return Number(cleaned);
+};
+
+const findColumn = (header, candidates) => header.findIndex(h => candidates.includes(normalizeKeyword(h)));
+
+// Accepts Keyword Planner style exports (header row with a keyword and a
+// volume column) as well as Google Trends related-query exports, which
+// carry a preamble and untitled "query,value" sections.
+function recordsFromCSV(text) {
+  const rows = parseCSV(text.replace(/^\uFEFF/, ''), detectDelimiter(text)).filter(row => row.some(cell => cell.trim()));
+  const headerIndex = rows.findIndex(row => row.length >= 2 && findColumn(row, KEYWORD_COLUMNS) !== -1);
+
+  if (headerIndex !== -1) {
+    const header = rows[headerIndex];
+    const keywordCol = findColumn(header, KEYWORD_COLUMNS);
+    const marketCol = findColumn(header, MARKET_COLUMNS);
+    let valueCol = findColumn(header, VALUE_COLUMNS);
+    if (valueCol === -1) {
+      valueCol = header.findIndex((_, i) => i !== keywordCol && rows.slice(headerIndex + 1).some(row => Number.isFinite(toNumber(row[i]))));
+    }
+
+    return rows.slice(headerIndex + 1).map(row => ({
+      keyword: row[keywordCol],
+      volume: toNumber(row[valueCol]),
+      market: marketCol !== -1 ? row[marketCol] : undefined
+    }));
+  }
+
+  return rows
+    .filter(row => row.length >= 2)
+    .map(row => ({ keyword: row[0], volume: toNumber(row[1]) }));
+}
+
+function recordsFromJSON(text) {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) {
+    return Object.entries(data).map(([keyword, volume]) => ({ keyword, volume: toNumber(volume) }));
+  }
+
+  return data.map(item => {
+    const lower = Object.fromEntries(Object.entries(item).map(([key, value]) => [normalizeKeyword(key), value]));
+    const keywordKey = KEYWORD_COLUMNS.find(key => lower[key] !== undefined);
+    const valueKey = VALUE_COLUMNS.find(key => lower[key] !== undefined);
+    const marketKey = MARKET_COLUMNS.find(key => lower[key] !== undefined);
+    return {
+      keyword: lower[keywordKey],
+      volume: toNumber(lower[valueKey]),
+      market: marketKey ? lower[marketKey] : undefined
+    };
+  });
+}
+
+export function parseDemandFile(text, filename = '') {
+  const isJSON = filename.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+  const records = isJSON ? recordsFromJSON(text) : recordsFromCSV(text);
+  return records
+    .filter(r => r.keyword && Number.isFinite(r.volume))
+    .map(r => ({ keyword: r.keyword.trim(), volume: r.volume, market: r.market ? String(r.market).trim().toUpperCase() : null }));
+}
+
+export const heuristicProvider = {
+  id: 'heuristic',
+  label: 'Supply heuristic',
+  demandFor: (row) => ({ demand: Math.min(100, Math.round(row.audiobooks / 5)), matched: true })
+};
+
+// Imported volumes are scaled to 0-100 against the largest value in the file
+// so they sit on the same axis as the heuristic; the raw number is kept.
+export function createImportedProvider(records, label = 'Imported data') {
+  const byKey = new Map();
+  records.forEach(record => {
+    byKey.set(`${normalizeKeyword(record.keyword)}|${record.market || ''}`, record.volume);
+  });
+  const max = Math.max(1, ...records.map(r => r.volume));
+
+  return {
+    id: 'imported',
+    label,
+    demandFor: (row) => {
+      const keyword = normalizeKeyword(row.keyword);
+      const volume = byKey.get(`${keyword}|${row.market || ''}`) ?? byKey.get(`${keyword}|`);
+      if (volume === undefined) return { demand: null, matched: false };
+      return { demand: Math.round((volume / max) * 100), volume, matched: true };
+    }
+  };
+}
+
+export function applyDemand(results, provider) {
+  return results.map(row => {
+    if (row.error) return row;
+    const { demand, volume, matched } = provider.demandFor(row);
+    return {
+      ...row,
+      demand,
+      demandVolume: volume ?? null,
+      demandSource: provider.id,
+      demandMatched: matched,
+      y: demand
+    };
+  });
+}
@@ -0,0 +1,27 @@
+import { toCSVExport, toJSONExport, toMarkdownReport, toHTMLReport } from './export.js';
+
+const REVOKE_DELAY_MS = 1000;
+
+// Saves generated content through a temporary object URL. `format` is one
+// of the EXPORT_FORMATS entries (or any `{ id, mimeType }` pair). The URL is
+// revoked a little later, since Firefox and Safari can drop a download whose
+// URL goes away right after the click.
+export function downloadFile(content, { id, mimeType }) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `audiobook-research-${new Date().toISOString().split('T')[0]}.${id}`;
+  a.click();
+  setTimeout(() => window.URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+// The XLSX writer is loaded on demand so it stays out of the page bundle.
+export async function downloadRun(run, format, { chartSvg } = {}) {
+  if (format.id === 'csv') return downloadFile(toCSVExport(run), format);
+  if (format.id === 'json') return downloadFile(toJSONExport(run), format);
+  if (format.id === 'md') return downloadFile(toMarkdownReport(run, { chartSvg }), format);
+  if (format.id === 'html') return downloadFile(toHTMLReport(run, { chartSvg }), format);
+  const { toXLSXExport } = await import('./xlsx-export.js');
+  return downloadFile(await toXLSXExport(run), format);
+}
@@ -0,0 +1,26 @@
+// Reads a text/event-stream response body, calling `onEvent(event, data)`
+// with each event's parsed JSON data. Unlike EventSource this works with
+// fetch, so requests can carry the credential headers. Resolves when the
+// server closes the stream.
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+
+    blocks.forEach(block => {
+      let event = 'message';
+      const data = [];
+      block.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      });
+      if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+    });
+  }
+}
@@ -0,0 +1,102 @@
+import { normalizeKeyword } from './demand.js';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her', 'his', 'how',
+  'i', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the',
+  'their', 'them', 'they', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you',
+  'your', 'one', 'all', 'more', 'can', 'about', 'after', 'been', 'were', 'there', 'than', 'then', 'out', 'up',
+  'der', 'die', 'das', 'und', 'ein', 'eine', 'ist', 'mit', 'von', 'zu', 'den', 'im', 'für', 'auf', 'sich', 'nicht',
+  'audiobook', 'audiobooks', 'unabridged', 'narrated', 'edition', 'hörbuch', 'ungekürzt'
+]);
+
+export const AUDIOBOOK_MODIFIERS = [
+  'series', 'book 1', 'box set', 'collection', 'trilogy', 'for beginners', 'for kids', 'for teens', 'for adults',
+  'short stories', 'novel', 'guide', 'bestseller', 'new release', 'romance', 'thriller', 'mystery', 'fantasy',
+  'historical', 'cozy', 'dark', 'true story', 'self help', 'unabridged'
+];
+
+const SOURCE_WEIGHTS = { title: 3, subtitle: 2, description: 1 };
+
+const stripHtml = (text) => String(text || '').replace(/<[^>]*>/g, ' ').replace(/&[a-z]+;/gi, ' ');
+
+// Phrases are split at punctuation so n-grams never span two sentences.
+const phrases = (text) => stripHtml(text)
+  .toLowerCase()
+  .split(/[.,;:!?()[\]"“”„|/\\–—\n]+/)
+  .map(phrase => phrase.match(/[\p{L}\p{N}'’-]+/gu) || []);
+
+function ngrams(tokens, maxN) {
+  const grams = [];
+  for (let n = 1; n <= maxN; n++) {
+    for (let i = 0; i + n <= tokens.length; i++) {
+      const gram = tokens.slice(i, i + n);
+      if (STOPWORDS.has(gram[0]) || STOPWORDS.has(gram[gram.length - 1])) continue;
+      if (gram.some(token => token.length < 3 && !/\d/.test(token))) continue;
+      grams.push(gram.join(' '));
+    }
+  }
+  return grams;
+}
+
+const splitTitle = (name) => {
+  const [title, ...rest] = String(name || '').split(':');
+  return { title, subtitle: rest.join(':') };
+};
+
+// Ranks long-tail candidates for one seed from the audiobooks it returned.
+// Terms are counted once per book, weighted by where they appear, and only
+// kept when at least `minSupport` books use them.
+export function expandKeywords(seed, audiobooks, { maxN = 3, minSupport = 2, limit = 30 } = {}) {
+  const seedTokens = new Set(normalizeKeyword(seed).split(' '));
+  const candidates = new Map();
+
+  const add = (keyword, source, weight, bookId) => {
+    const key = normalizeKeyword(keyword);
+    const entry = candidates.get(key) || { keyword: key, seed, source, score: 0, books: new Set() };
+    if (!entry.books.has(bookId)) {
+      entry.books.add(bookId);
+      entry.score += weight;
+    }
+    candidates.set(key, entry);
+  };
+
+  audiobooks.filter(Boolean).forEach(book => {
+    const { title, subtitle } = splitTitle(book.name);
+    const texts = { title, subtitle, description: book.description };
+
+    Object.entries(texts).forEach(([source, text]) => {
+      phrases(text).forEach(tokens => {
+        ngrams(tokens, maxN)
+          .map(gram => gram.split(' ').filter(token => !seedTokens.has(token)).join(' '))
+          .filter(Boolean)
+          .forEach(gram => add(`${seed} ${gram}`, source, SOURCE_WEIGHTS[source], book.id));
+      });
+    });
+
+    (book.authors || []).forEach(author => {
+      if (author.name) add(author.name, 'author', 2, book.id);
+    });
+  });
+
+  const mined = [...candidates.values()]
+    .filter(c => c.books.size >= minSupport)
+    .map(c => ({ keyword: c.keyword, seed: c.seed, source: c.source, support: c.books.size, score: c.score }));
+
+  const seedKey = normalizeKeyword(seed);
+  const modifiers = AUDIOBOOK_MODIFIERS
+    .filter(modifier => !seedKey.includes(modifier))
+    .map(modifier => {
+      const keyword = normalizeKeyword(`${seed} ${modifier}`);
+      const minedMatch = mined.find(c => c.keyword === keyword);
+      return { keyword, seed, source: 'modifier', support: minedMatch ? minedMatch.support : 0, score: minedMatch ? minedMatch.score + 1 : 0.5 };
+    });
+
+  const merged = new Map();
+  [...mined, ...modifiers].forEach(c => {
+    if (!merged.has(c.keyword) || merged.get(c.keyword).score < c.score) merged.set(c.keyword, c);
+  });
+
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score || a.keyword.localeCompare(b.keyword))
+    .slice(0, limit);
+}
@@ -0,0 +1,213 @@
+import { toCSV, parseCSV, detectDelimiter } from './csv.js';
+import { COMPETITION_COLUMNS } from './competition.js';
+
+export const EXPORT_FORMAT = 'audiobook-research';
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', mimeType: 'text/csv' },
+  { id: 'xlsx', label: 'XLSX', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { id: 'json', label: 'JSON', mimeType: 'application/json' },
+  { id: 'md', label: 'Markdown', mimeType: 'text/markdown' },
+  { id: 'html', label: 'HTML', mimeType: 'text/html' }
+];
+
+const TEXT_KEYS = new Set(['keyword', 'market', 'demandSource', 'topLanguage', 'topEdition']);
+const SIGNED_KEYS = new Set(['popularityTrend', 'supplyTrend']);
+
+export const SUMMARY_COLUMNS = [
+  { key: 'keyword', label: 'Keyword' },
+  { key: 'market', label: 'Market' },
+  { key: 'audiobooks', label: 'Audiobooks Found' },
+  { key: 'avgPopularity', label: 'Avg Popularity' },
+  { key: 'estimatedTrendsInterest', label: 'Estimated Trends Interest' },
+  { key: 'demand', label: 'Demand' },
+  { key: 'demandSource', label: 'Demand Source' },
+  { key: 'demandVolume', label: 'Demand Volume' },
+  { key: 'popularityTrend', label: 'Popularity Trend' },
+  { key: 'supplyTrend', label: 'Supply Trend' },
+  { key: 'score', label: 'Opportunity Score' },
+  ...COMPETITION_COLUMNS
+];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const formatCell = (row, key) => {
+  const value = row[key];
+  if (key === 'keyword') return value;
+  if (row.error || isBlank(value)) return '-';
+  if (SIGNED_KEYS.has(key) && value > 0) return `+${value}`;
+  return value;
+};
+
+// `run.results` are analysed rows: demand applied and `score` filled in.
+export function summaryTable(run) {
+  const header = [...SUMMARY_COLUMNS.map(c => c.label), 'Status'];
+  const rows = run.results.map(r => [
+    ...SUMMARY_COLUMNS.map(c => formatCell(r, c.key)),
+    r.error ? r.error : 'OK'
+  ]);
+  return [header, ...rows];
+}
+
+export function detailTable(run) {
+  const header = ['Keyword', 'Market', 'Title', 'Authors', 'Narrators', 'Publisher', 'Released', 'Chapters', 'Length (min)', 'Spotify URL'];
+  const rows = run.results
+    .filter(r => !r.error)
+    .flatMap(r => (r.books || []).map(book => [
+      r.keyword,
+      r.market || '-',
+      book.name,
+      book.authors.join(', '),
+      book.narrators.join(', '),
+      book.publisher,
+      book.releaseDate || '',
+      book.totalChapters ?? '',
+      book.durationMinutes ?? '',
+      book.url || ''
+    ]));
+  return [header, ...rows];
+}
+
+export const toCSVExport = (run) => toCSV(summaryTable(run));
+
+export const toJSONExport = (run) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  ...run
+}, null, 2);
+
+const escapeHTML = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeMarkdown = (text) => String(text ?? '').replace(/([|\\*_`[\]])/g, '\\$1');
+
+const REPORT_COLUMNS = [
+  { key: 'keyword', label: 'Keyword' },
+  { key: 'market', label: 'Market' },
+  { key: 'audiobooks', label: 'Supply' },
+  { key: 'demand', label: 'Demand' },
+  { key: 'avgPopularity', label: 'Popularity' },
+  { key: 'popularityTrend', label: 'Trend' },
+  { key: 'score', label: 'Score' }
+];
+
+function reportSummary(run, topN) {
+  const valid = run.results.filter(r => !r.error);
+  const ranked = valid
+    .filter(r => !isBlank(r.score))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topN);
+  return {
+    ranked,
+    stats: [
+      ['Keywords', valid.length],
+      ['Failed', run.results.length - valid.length],
+      ['Total audiobooks', valid.reduce((sum, r) => sum + r.audiobooks, 0)],
+      ['Best opportunity', ranked[0] ? `${ranked[0].keyword} (${ranked[0].score})` : '-']
+    ]
+  };
+}
+
+const svgDataUri = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+export function toMarkdownReport(run, { chartSvg, topN = 25 } = {}) {
+  const { ranked, stats } = reportSummary(run, topN);
+  const lines = [
+    '# Audiobook Market Research',
+    '',
+    `Generated ${new Date(run.exportedAt).toLocaleString()}${run.settings?.scoringModel?.name ? ` · Scoring: ${run.settings.scoringModel.name}` : ''}`,
+    '',
+    ...stats.map(([label, value]) => `- **${label}:** ${escapeMarkdown(value)}`),
+    ''
+  ];
+
+  if (chartSvg) {
+    lines.push('## Demand vs. Supply Matrix', '', `![Demand vs. Supply Matrix](${svgDataUri(chartSvg)})`, '');
+  }
+
+  lines.push(
+    `## Top ${ranked.length} Opportunities`,
+    '',
+    `| ${REPORT_COLUMNS.map(c => c.label).join(' | ')} |`,
+    `| ${REPORT_COLUMNS.map((c, i) => (i === 0 ? '---' : '---:')).join(' | ')} |`,
+    ...ranked.map(r => `| ${REPORT_COLUMNS.map(c => escapeMarkdown(formatCell(r, c.key))).join(' | ')} |`),
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+export function toHTMLReport(run, { chartSvg, topN = 25 } = {}) {
+  const { ranked, stats } = reportSummary(run, topN);
+  const cell = 'padding:8px 12px;border-bottom:1px solid #334155';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Audiobook Market Research</title>
+</head>
+<body style="font-family:-apple-system,'Segoe UI',Roboto,sans-serif;background:#0f172a;color:#e2e8f0;padding:32px;max-width:1100px;margin:0 auto">
+<h1 style="color:#fff">Audiobook Market Research</h1>
+<p style="color:#94a3b8">Generated ${escapeHTML(new Date(run.exportedAt).toLocaleString())}${run.settings?.scoringModel?.name ? ` · Scoring: ${escapeHTML(run.settings.scoringModel.name)}` : ''}</p>
+<div style="display:flex;gap:12px;margin:24px 0">
+${stats.map(([label, value]) => `<div style="background:#1e293b;border:1px solid #334155;border-radius:12px;padding:16px;flex:1"><div style="color:#94a3b8;font-size:12px">${escapeHTML(label)}</div><div style="font-size:22px;font-weight:bold;color:#fff">${escapeHTML(value)}</div></div>`).join('\n')}
+</div>
+${chartSvg ? `<h2 style="color:#fff">Demand vs. Supply Matrix</h2>\n<div style="background:#1e293b;border-radius:12px;padding:16px">${chartSvg}</div>` : ''}
+<h2 style="color:#fff">Top ${ranked.length} Opportunities</h2>
+<table style="width:100%;border-collapse:collapse;font-size:14px">
+<thead><tr>${REPORT_COLUMNS.map((c, i) => `<th style="${cell};text-align:${i === 0 ? 'left' : 'right'};color:#cbd5e1">${escapeHTML(c.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${ranked.map(r => `<tr>${REPORT_COLUMNS.map((c, i) => `<td style="${cell};text-align:${i === 0 ? 'left' : 'right'}">${escapeHTML(formatCell(r, c.key))}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+const parseCell = (key, value) => {
+  if (TEXT_KEYS.has(key)) return value === '-' || value === '' ? null : value;
+  if (value === '-' || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+function rowsFromCSV(text) {
+  const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ''), detectDelimiter(text)).filter(row => row.some(cell => cell.trim()));
+  if (!header) return [];
+  const columns = header.map(label => SUMMARY_COLUMNS.find(c => c.label === label.trim()));
+  const statusIndex = header.findIndex(label => label.trim() === 'Status');
+  if (!columns.some(c => c && c.key === 'keyword')) {
+    throw new Error('CSV has no "Keyword" column');
+  }
+
+  return rows.map(cells => {
+    const row = {};
+    columns.forEach((column, i) => {
+      if (column) row[column.key] = parseCell(column.key, cells[i] ?? '');
+    });
+    const status = statusIndex === -1 ? 'OK' : cells[statusIndex];
+    if (status && status !== 'OK') {
+      row.error = status;
+      row.audiobooks = -1;
+    }
+    return row;
+  });
+}
+
+// Reads back any export produced by this module (CSV or JSON) so it can
+// serve as the baseline for trend comparison.
+export function parseResultsFile(text, filename = '') {
+  const isJSON = filename.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+  if (!isJSON) return { results: rowsFromCSV(text), exportedAt: null };
+
+  const data = JSON.parse(text);
+  const results = Array.isArray(data) ? data : data.results;
+  if (!Array.isArray(results)) throw new Error('JSON has no results array');
+  return { results, exportedAt: data.exportedAt || null, settings: data.settings };
+}
@@ -0,0 +1,35 @@
+import { readCollection, updateCollection } from './json-store.js';
+
+const COLLECTION = 'history';
+
+const numberOrNull = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+const toSnapshot = (entry, runId, createdAt) => ({
+  runId,
+  createdAt,
+  keyword: String(entry.keyword).trim(),
+  market: entry.market || null,
+  audiobooks: Number(entry.audiobooks),
+  avgPopularity: numberOrNull(entry.avgPopularity),
+  estimatedTrendsInterest: Number(entry.estimatedTrendsInterest)
+});
+
+export async function listSnapshots({ keywords, market } = {}) {
+  const snapshots = await readCollection(COLLECTION);
+  const wanted = keywords && keywords.length > 0 ? new Set(keywords) : null;
+
+  return snapshots
+    .filter(s => !wanted || wanted.has(s.keyword))
+    .filter(s => market === undefined || s.market === (market || null))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function saveSnapshots(entries, runId = Date.now().toString(36)) {
+  const createdAt = new Date().toISOString();
+  const snapshots = entries
+    .filter(entry => entry && entry.keyword && Number.isFinite(Number(entry.audiobooks)) && Number(entry.audiobooks) >= 0)
+    .map(entry => toSnapshot(entry, runId, createdAt));
+
+  await updateCollection(COLLECTION, current => [...current, ...snapshots]);
+  return { runId, createdAt, saved: snapshots.length };
+}
@@ -0,0 +1,40 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const dataDir = () => process.env.RESEARCH_DATA_DIR || path.join(process.cwd(), 'data');
+
+const queues = new Map();
+
+const filePath = (collection) => path.join(dataDir(), `${collection}.json`);
+
+export async function readCollection(collection, fallback = []) {
+  try {
+    const raw = await fs.readFile(filePath(collection), 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+async function writeCollection(collection, data) {
+  const target = filePath(collection);
+  const tmp = `${target}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, target);
+}
+
+// Writes to one collection are chained so concurrent requests in the same
+// process never interleave their read-modify-write cycles.
+export function updateCollection(collection, updater, fallback = []) {
+  const previous = queues.get(collection) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const current = await readCollection(collection, fallback);
+    const updated = await updater(current);
+    await writeCollection(collection, updated);
+    return updated;
+  });
+  queues.set(collection, next);
+  return next;
+}
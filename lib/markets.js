@@ -0,0 +1,22 @@
+export const MARKETS = [
+  { code: 'US', label: 'United States' },
+  { code: 'GB', label: 'United Kingdom' },
+  { code: 'CA', label: 'Canada' },
+  { code: 'AU', label: 'Australia' },
+  { code: 'NZ', label: 'New Zealand' },
+  { code: 'IE', label: 'Ireland' },
+  { code: 'DE', label: 'Germany' },
+  { code: 'AT', label: 'Austria' },
+  { code: 'CH', label: 'Switzerland' }
+];
+
+export const MARKET_COLORS = ['#22c55e', '#60a5fa', '#f59e0b', '#c084fc', '#f472b6', '#2dd4bf', '#ef4444', '#a3e635', '#fb923c'];
+
+export const marketColor = (market) => {
+  const index = MARKETS.findIndex(m => m.code === market);
+  return index === -1 ? '#94a3b8' : MARKET_COLORS[index % MARKET_COLORS.length];
+};
+
+// Results and history snapshots are identified by keyword and market, with
+// no market meaning whatever Spotify inferred from the request.
+export const resultKey = (entry) => (entry.market ? `${entry.keyword} (${entry.market})` : entry.keyword);
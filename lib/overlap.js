@@ -0,0 +1,59 @@
+import { resultKey } from './markets.js';
+
+export const bookIds = (row) => (row.books || []).map(book => book.id);
+
+export function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(id => {
+    if (b.has(id)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Pairwise similarity of the audiobooks each keyword returned. Keywords are
+// only compared within the same market, since catalogues differ per market.
+export function computeOverlap(rows) {
+  const entries = rows
+    .filter(row => !row.error)
+    .map(row => ({ key: resultKey(row), market: row.market || null, ids: new Set(bookIds(row)) }));
+  const pairs = [];
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (entries[i].market !== entries[j].market) continue;
+      const similarity = jaccard(entries[i].ids, entries[j].ids);
+      if (similarity > 0) pairs.push({ a: entries[i].key, b: entries[j].key, similarity });
+    }
+  }
+
+  return { keys: entries.map(e => e.key), pairs };
+}
+
+export function clusterKeywords(overlap, threshold, scoreOf = () => 0) {
+  const parent = new Map(overlap.keys.map(key => [key, key]));
+  const find = (key) => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+
+  overlap.pairs
+    .filter(pair => pair.similarity >= threshold)
+    .forEach(pair => parent.set(find(pair.a), find(pair.b)));
+
+  const groups = new Map();
+  overlap.keys.forEach(key => {
+    const root = find(key);
+    groups.set(root, [...(groups.get(root) || []), key]);
+  });
+
+  return [...groups.values()]
+    .map(members => {
+      const ranked = [...members].sort((a, b) => (scoreOf(b) ?? -Infinity) - (scoreOf(a) ?? -Infinity));
+      return { representative: ranked[0], members: ranked };
+    })
+    .sort((a, b) => b.members.length - a.members.length);
+}
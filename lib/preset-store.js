@@ -0,0 +1,49 @@
+import { readCollection, updateCollection } from './json-store.js';
+import { BUILT_IN_PRESETS, NORMALISATIONS, SCORING_INPUTS } from './scoring.js';
+
+const COLLECTION = 'scoring-presets';
+
+export const sanitizePreset = (preset) => ({
+  name: String(preset.name).trim(),
+  formula: preset.formula === 'ratio' ? 'ratio' : 'weighted',
+  normalisation: NORMALISATIONS.includes(preset.normalisation) ? preset.normalisation : 'linear',
+  inputs: (preset.inputs || [])
+    .filter(input => SCORING_INPUTS.some(i => i.key === input.key))
+    .map(input => ({ key: input.key, weight: Math.max(0, Number(input.weight) || 0), higherIsBetter: !!input.higherIsBetter })),
+  tiers: (preset.tiers || []).map(tier => ({
+    label: String(tier.label),
+    min: tier.min === null || tier.min === '' || tier.min === undefined ? null : Number(tier.min),
+    color: String(tier.color || '#94a3b8')
+  })),
+  updatedAt: new Date().toISOString()
+});
+
+export const isReservedName = (name) => BUILT_IN_PRESETS.some(p => p.name === String(name).trim());
+
+export async function listPresets() {
+  const saved = await readCollection(COLLECTION);
+  return [...BUILT_IN_PRESETS, ...saved];
+}
+
+export async function findPreset(name) {
+  const presets = await listPresets();
+  return presets.find(p => p.name === name) || null;
+}
+
+export async function savePreset(preset) {
+  const clean = sanitizePreset(preset);
+  if (!clean.name || isReservedName(clean.name)) {
+    throw new Error('Preset name is missing or reserved');
+  }
+  await updateCollection(COLLECTION, current => [...current.filter(p => p.name !== clean.name), clean]);
+  return clean;
+}
+
+export async function deletePreset(name) {
+  let removed = false;
+  await updateCollection(COLLECTION, current => {
+    removed = current.some(p => p.name === name);
+    return current.filter(p => p.name !== name);
+  });
+  return removed;
+}
@@ -0,0 +1,47 @@
+import { readCollection, updateCollection } from './json-store.js';
+import { dedupeKeywords } from './projects.js';
+
+const COLLECTION = 'projects';
+
+const newId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const sanitize = (project) => ({
+  id: project.id ? String(project.id) : newId(),
+  name: String(project.name).trim(),
+  keywords: dedupeKeywords((project.keywords || []).map(entry => ({
+    keyword: entry.keyword,
+    tags: Array.isArray(entry.tags) ? entry.tags.map(String) : [],
+    notes: String(entry.notes || '')
+  }))),
+  updatedAt: new Date().toISOString()
+});
+
+export async function listProjects() {
+  const projects = await readCollection(COLLECTION);
+  return projects.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getProject(id) {
+  const projects = await readCollection(COLLECTION);
+  return projects.find(p => p.id === id) || null;
+}
+
+export async function saveProject(project) {
+  const clean = sanitize(project);
+  if (!clean.name) throw new Error('Project name is missing');
+  await updateCollection(COLLECTION, current => {
+    const existing = current.find(p => p.id === clean.id);
+    clean.createdAt = existing ? existing.createdAt : clean.updatedAt;
+    return [...current.filter(p => p.id !== clean.id), clean];
+  });
+  return clean;
+}
+
+export async function deleteProject(id) {
+  let removed = false;
+  await updateCollection(COLLECTION, current => {
+    removed = current.some(p => p.id === id);
+    return current.filter(p => p.id !== id);
+  });
+  return removed;
+}
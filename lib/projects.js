@@ -0,0 +1,62 @@
+import { parseCSV, detectDelimiter } from './csv.js';
+import { normalizeKeyword } from './demand.js';
+
+const KEYWORD_COLUMNS = ['keyword', 'keywords', 'query', 'search term', 'term'];
+const TAG_COLUMNS = ['tags', 'tag', 'genre', 'client', 'priority', 'category', 'niche'];
+const NOTE_COLUMNS = ['notes', 'note', 'comment', 'comments'];
+
+export const splitTags = (value) => [...new Set(String(value || '')
+  .split(/[,;|]/)
+  .map(tag => normalizeKeyword(tag))
+  .filter(Boolean))];
+
+// Case and whitespace variants collapse into one entry. Their tags are
+// merged and distinct notes kept, one per line.
+export function dedupeKeywords(entries) {
+  const merged = new Map();
+
+  entries.forEach(entry => {
+    const { keyword: raw, tags = [], notes = '' } = typeof entry === 'string' ? { keyword: entry } : entry;
+    const keyword = normalizeKeyword(raw ?? '');
+    if (!keyword) return;
+
+    const existing = merged.get(keyword) || { keyword, tags: [], notes: '' };
+    const noteLines = existing.notes ? existing.notes.split('\n') : [];
+    const note = String(notes || '').trim();
+    merged.set(keyword, {
+      keyword,
+      tags: [...new Set([...existing.tags, ...tags.map(tag => normalizeKeyword(tag)).filter(Boolean)])],
+      notes: note && !noteLines.includes(note) ? [...noteLines, note].join('\n') : existing.notes
+    });
+  });
+
+  return [...merged.values()];
+}
+
+const findColumns = (header, candidates) => header
+  .map((cell, i) => (candidates.includes(normalizeKeyword(cell)) ? i : -1))
+  .filter(i => i !== -1);
+
+// Plain text files hold one keyword per line. CSV/TSV files may carry a
+// header naming keyword, tag (tags, genre, client, priority…) and note
+// columns; without one the columns are read as keyword, tags, notes.
+export function parseKeywordFile(text, filename = '') {
+  const clean = text.replace(/^\uFEFF/, '');
+  const isTable = /\.(csv|tsv)$/i.test(filename) || (!/\.txt$/i.test(filename) && /[,\t;]/.test(clean));
+  if (!isTable) return dedupeKeywords(clean.split(/\r?\n/));
+
+  const rows = parseCSV(clean, detectDelimiter(clean)).filter(row => row.some(cell => cell.trim()));
+  if (rows.length === 0) return [];
+
+  const [keywordColumn] = findColumns(rows[0], KEYWORD_COLUMNS);
+  const hasHeader = keywordColumn !== undefined;
+  const keywordIndex = hasHeader ? keywordColumn : 0;
+  const tagIndexes = hasHeader ? findColumns(rows[0], TAG_COLUMNS) : [1];
+  const noteIndexes = hasHeader ? findColumns(rows[0], NOTE_COLUMNS) : [2];
+
+  return dedupeKeywords((hasHeader ? rows.slice(1) : rows).map(row => ({
+    keyword: row[keywordIndex],
+    tags: tagIndexes.flatMap(i => splitTags(row[i])),
+    notes: noteIndexes.map(i => (row[i] || '').trim()).filter(Boolean).join('\n')
+  })));
+}
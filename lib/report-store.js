@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+import { readCollection, updateCollection } from './json-store.js';
+
+const COLLECTION = 'reports';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_EXPIRY_DAYS = 365;
+
+const isExpired = (report, now = Date.now()) => report.expiresAt !== null && Date.parse(report.expiresAt) <= now;
+
+// Book lists are dropped: a report only needs the per-keyword metrics, and
+// deep runs would otherwise make the store grow by megabytes per share.
+const toReportRun = (run) => ({
+  exportedAt: run.exportedAt || new Date().toISOString(),
+  settings: run.settings || {},
+  results: run.results.map(({ books, ...row }) => row)
+});
+
+export async function createReport(run, { expiresInDays } = {}) {
+  const createdAt = new Date();
+  const days = Math.min(Number(expiresInDays) || 0, MAX_EXPIRY_DAYS);
+  const report = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    deleteToken: crypto.randomBytes(18).toString('base64url'),
+    createdAt: createdAt.toISOString(),
+    expiresAt: days > 0 ? new Date(createdAt.getTime() + days * DAY_MS).toISOString() : null,
+    run: toReportRun(run)
+  };
+
+  // Expired reports are pruned whenever a new one is written.
+  await updateCollection(COLLECTION, current => [...current.filter(r => !isExpired(r)), report]);
+  return report;
+}
+
+export async function getReport(id) {
+  const reports = await readCollection(COLLECTION);
+  const report = reports.find(r => r.id === id);
+  if (!report || isExpired(report)) return null;
+  const { deleteToken, ...visible } = report;
+  return visible;
+}
+
+export async function deleteReport(id, token) {
+  let result = 'missing';
+  await updateCollection(COLLECTION, current => {
+    const report = current.find(r => r.id === id);
+    if (!report) return current;
+    if (report.deleteToken !== token) {
+      result = 'forbidden';
+      return current;
+    }
+    result = 'deleted';
+    return current.filter(r => r.id !== id);
+  });
+  return result;
+}
@@ -0,0 +1,341 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { spotifyGet, isAuthError } from './spotify.js';
+import { createResearchRunner, groupByResultKey, latestByResultKey, indexBaseline, scoreResults } from './research.js';
+import { heuristicProvider, createImportedProvider } from './demand.js';
+import { listSnapshots, saveSnapshots } from './history-store.js';
+import { resultKey } from './markets.js';
+import { readCollection, updateCollection } from './json-store.js';
+import { checkCallbackUrl } from './callback-url.js';
+
+const COLLECTION = 'research-jobs';
+const FINISHED = ['completed', 'cancelled', 'failed'];
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const FLUSH_MS = 1000;
+const HEARTBEAT_MS = 5 * 1000;
+const STALE_MS = 30 * 1000;
+const POLL_MS = 1000;
+const CALLBACK_TIMEOUT_MS = 10 * 1000;
+
+// Jobs live in the JSON store, not in the memory of the request that created
+// them. A job starts running as soon as it is created, writes its progress
+// back as it goes and picks up pause/cancel requests from the store, so it
+// can be polled, streamed or left to call back. A job whose runner stops
+// writing (the function was frozen or timed out) goes stale and the next
+// stream request resumes it.
+
+export const isFinished = (job) => FINISHED.includes(job.status);
+
+export const isClaimable = (job, now = Date.now()) => job.status === 'queued'
+  || (!isFinished(job) && now - Date.parse(job.updatedAt) > STALE_MS);
+
+const withoutBooks = ({ books, ...row }) => row;
+
+export function jobView(job) {
+  const { request, control, ...visible } = job;
+  return visible;
+}
+
+const updateJob = async (id, updater) => {
+  let updated = null;
+  await updateCollection(COLLECTION, current => current.map(job => {
+    if (job.id !== id) return job;
+    updated = updater(job);
+    return updated;
+  }));
+  return updated;
+};
+
+const providerFor = ({ demandRecords, demandLabel }) => (demandRecords.length > 0
+  ? createImportedProvider(demandRecords, demandLabel)
+  : heuristicProvider);
+
+export async function createResearchJob({
+  jobs,
+  model,
+  demandRecords = [],
+  demandLabel,
+  baseline,
+  useHistory = true,
+  saveHistory = true,
+  concurrency = 3,
+  deepSearch = false,
+  maxPages = 4,
+  callbackUrl
+}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    progress: { total: jobs.length, done: 0, failed: 0 },
+    settings: {
+      markets: [...new Set(jobs.map(j => j.market).filter(Boolean))],
+      deepSearch,
+      maxPages,
+      concurrency,
+      demandSource: providerFor({ demandRecords, demandLabel }).label,
+      scoringModel: model
+    },
+    results: [],
+    error: null,
+    historyError: null,
+    callback: callbackUrl ? { url: callbackUrl, status: 'pending' } : null,
+    request: { jobs, demandRecords, demandLabel, baseline, useHistory, saveHistory },
+    control: null
+  };
+
+  // Jobs untouched for the retention period are pruned whenever one is added.
+  const cutoff = Date.now() - RETENTION_MS;
+  await updateCollection(COLLECTION, current => [...current.filter(j => Date.parse(j.updatedAt) > cutoff), job]);
+  return job;
+}
+
+export async function getJob(id) {
+  const jobs = await readCollection(COLLECTION);
+  return jobs.find(j => j.id === id) || null;
+}
+
+// Pause, resume and cancel are recorded on the job and applied by its runner
+// on its next write. A job nobody has started yet is cancelled directly.
+export async function controlJob(id, action) {
+  let result = 'missing';
+  await updateJob(id, job => {
+    if (isFinished(job)) {
+      result = 'finished';
+      return job;
+    }
+    result = 'ok';
+    if (action === 'cancel' && job.status === 'queued') {
+      const now = new Date().toISOString();
+      return { ...job, status: 'cancelled', updatedAt: now, finishedAt: now };
+    }
+    return { ...job, control: action };
+  });
+  return result;
+}
+
+async function claimJob(id) {
+  let claimed = false;
+  const job = await updateJob(id, current => {
+    if (!isClaimable(current)) return current;
+    claimed = true;
+    return { ...current, status: 'running', updatedAt: new Date().toISOString() };
+  });
+  return { job, claimed };
+}
+
+async function loadBaseline({ baseline, useHistory }) {
+  if (Array.isArray(baseline)) return indexBaseline(baseline);
+  if (!useHistory) return {};
+  return latestByResultKey(groupByResultKey(await listSnapshots()));
+}
+
+// The URL is checked again before sending since its DNS may have changed,
+// and redirects are refused so they cannot lead somewhere unchecked.
+async function notifyCallback(job) {
+  try {
+    const refused = await checkCallbackUrl(job.callback.url);
+    if (refused) throw new Error(refused);
+    const response = await fetch(job.callback.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ job: jobView(job) }),
+      redirect: 'error',
+      signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS)
+    });
+    return { ...job.callback, status: response.ok ? 'delivered' : 'failed', responseStatus: response.status };
+  } catch (error) {
+    return { ...job.callback, status: 'failed', error: error.message };
+  }
+}
+
+async function finish(state, status) {
+  const byKey = new Map(state.results.map(r => [resultKey(r), r]));
+  const completed = state.request.jobs.map(j => byKey.get(resultKey(j))).filter(Boolean);
+  const job = { ...state };
+
+  try {
+    job.results = scoreResults(completed, { provider: providerFor(state.request), model: job.settings.scoringModel });
+    job.status = job.error ? 'failed' : status;
+  } catch (error) {
+    job.results = completed;
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  // The results stand on their own, so a failed history write is reported
+  // next to them rather than failing the job.
+  const snapshots = completed.filter(r => !r.error);
+  if (state.request.saveHistory && snapshots.length > 0) {
+    await saveSnapshots(snapshots, job.id).catch(error => {
+      job.historyError = error.message;
+    });
+  }
+
+  job.finishedAt = new Date().toISOString();
+  if (job.callback) job.callback = await notifyCallback(job);
+  return updateJob(job.id, () => ({ ...job, control: null, updatedAt: job.finishedAt }));
+}
+
+// Runs the keywords a claimed job has not finished yet. `emit(event, data)`
+// receives a `result` per keyword, with its book list, and `status` changes.
+async function runClaimedJob(job, credentials, emit) {
+  const state = { ...job };
+  const finishedKeys = new Set(state.results.map(resultKey));
+  let dirty = false;
+  let lastWrite = Date.now();
+
+  const runner = createResearchRunner({
+    get: (path, query) => spotifyGet(path, query, credentials),
+    jobs: state.request.jobs.filter(j => !finishedKeys.has(resultKey(j))),
+    baseline: await loadBaseline(state.request),
+    concurrency: state.settings.concurrency,
+    deepSearch: state.settings.deepSearch,
+    maxPages: state.settings.maxPages,
+    onRow: (row, err) => {
+      if (err && isAuthError(err)) {
+        state.error = 'Spotify rejected the credentials. Check your Client ID and Secret.';
+        runner.cancel();
+      }
+      const key = resultKey(row);
+      state.results = [...state.results.filter(r => resultKey(r) !== key), withoutBooks(row)];
+      state.progress = { ...state.progress, done: state.progress.done + 1, failed: state.progress.failed + (err ? 1 : 0) };
+      dirty = true;
+      emit('result', { row, error: err ? err.message : null, progress: state.progress });
+    },
+    onStatus: (status, detail) => {
+      if (status === 'completed' || status === 'cancelled') return;
+      if (status !== 'throttled') state.status = status;
+      dirty = true;
+      emit('status', { status, ...detail, progress: state.progress });
+    }
+  });
+
+  // Writes progress, or a heartbeat while nothing changes, and applies any
+  // control action recorded since the last write.
+  let writing = Promise.resolve();
+  const flush = () => {
+    if (!dirty && Date.now() - lastWrite < HEARTBEAT_MS) return;
+    dirty = false;
+    lastWrite = Date.now();
+    writing = writing.then(() => updateJob(state.id, stored => {
+      if (stored.control) runner[stored.control]();
+      return { ...stored, ...state, control: null, updatedAt: new Date().toISOString() };
+    })).catch(() => {});
+  };
+
+  const timer = setInterval(flush, FLUSH_MS);
+  const status = await runner.start();
+  clearInterval(timer);
+  await writing;
+
+  return finish(state, status);
+}
+
+// Jobs running in this process. Event streams here listen to the runner
+// directly, so they get every row as it lands, book lists included, rather
+// than the stored progress.
+const live = new Map();
+
+function runInProcess(job, credentials) {
+  const events = new EventEmitter();
+  const rows = new Map();
+  const emit = (event, data) => {
+    if (event === 'result') rows.set(resultKey(data.row), data);
+    events.emit('event', event, data);
+  };
+
+  // A runner that throws (the store is unwritable, say) marks the job failed;
+  // if even that write fails, the job goes stale and is resumed later.
+  const finished = runClaimedJob(job, credentials, emit)
+    .catch(error => updateJob(job.id, stored => {
+      const now = new Date().toISOString();
+      return { ...stored, status: 'failed', error: error.message, control: null, updatedAt: now, finishedAt: now };
+    }))
+    .catch(() => null)
+    .finally(() => live.delete(job.id));
+  live.set(job.id, { events, rows, finished });
+}
+
+// Claims a queued or stale job and runs it in the background of this
+// process. Resolves with whether this call started it.
+export async function startResearchJob(id, credentials) {
+  const { job, claimed } = await claimJob(id);
+  if (claimed) runInProcess(job, credentials);
+  return claimed;
+}
+
+// Relays a job running in this process to `emit`, starting with the rows it
+// reported before the stream joined. Resolves with the finished job, or null
+// when `signal` aborts first or the runner gave up.
+function followLive({ events, rows, finished }, emit, sent, signal) {
+  const relay = (event, data) => {
+    if (event === 'result') {
+      if (sent.has(resultKey(data.row))) return;
+      sent.add(resultKey(data.row));
+    }
+    emit(event, data);
+  };
+  rows.forEach(data => relay('result', data));
+
+  return new Promise(resolve => {
+    const stop = (job) => {
+      events.off('event', relay);
+      signal?.removeEventListener('abort', abort);
+      resolve(job);
+    };
+    const abort = () => stop(null);
+    events.on('event', relay);
+    signal?.addEventListener('abort', abort);
+    finished.then(stop);
+  });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Streams a job to `emit`: a `snapshot` of what is stored, then `result` and
+// `status` events and a final `done`. A job running in this process is
+// relayed live; one running elsewhere is followed through the store. A stale
+// job is resumed here when the request brings credentials.
+export async function streamResearchJob(id, credentials, emit, { signal } = {}) {
+  let job = await getJob(id);
+  if (!job) return null;
+  const sent = new Set(job.results.map(resultKey));
+  let lastStatus = job.status;
+  emit('snapshot', jobView(job));
+
+  while (job && !signal?.aborted) {
+    if (credentials && isClaimable(job)) await startResearchJob(id, credentials);
+    if (live.has(id)) {
+      const finished = await followLive(live.get(id), emit, sent, signal);
+      if (finished) {
+        emit('done', jobView(finished));
+        return finished;
+      }
+      if (signal?.aborted) break;
+    }
+
+    job = await getJob(id);
+    if (!job) break;
+    const latest = job;
+    latest.results.filter(row => !sent.has(resultKey(row))).forEach(row => {
+      sent.add(resultKey(row));
+      emit('result', { row, error: row.error || null, progress: latest.progress });
+    });
+    if (latest.status !== lastStatus) {
+      lastStatus = latest.status;
+      emit('status', { status: latest.status, progress: latest.progress });
+    }
+    if (isFinished(latest)) {
+      emit('done', jobView(latest));
+      return latest;
+    }
+    await sleep(POLL_MS);
+  }
+  return job;
+}
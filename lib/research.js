@@ -0,0 +1,145 @@
+import { createBatchRunner } from './batch-runner.js';
+import { computeCompetitionMetrics, toBookSummary } from './competition.js';
+import { heuristicProvider, applyDemand, normalizeKeyword } from './demand.js';
+import { createScorer, tierFor } from './scoring.js';
+import { resultKey } from './markets.js';
+
+export const PAGE_SIZE = 50;
+
+export const parseKeywordList = (text) => String(text)
+  .split(/\r?\n/)
+  .map(k => k.trim())
+  .filter(k => k.length > 0);
+
+export const buildJobs = (keywords, markets = []) => {
+  const selectedMarkets = markets.length > 0 ? markets : [null];
+  return keywords.flatMap(keyword => selectedMarkets.map(market => ({ keyword, market })));
+};
+
+// History and baselines are matched on the normalised keyword, so snapshots
+// and exports from before keywords were lowercased still line up.
+export const baselineKey = (entry) => resultKey({ keyword: normalizeKeyword(entry.keyword), market: entry.market || null });
+
+export const groupByResultKey = (snapshots) => snapshots.reduce((groups, snapshot) => {
+  const key = baselineKey(snapshot);
+  (groups[key] = groups[key] || []).push(snapshot);
+  return groups;
+}, {});
+
+// Snapshots are sorted oldest first, so the last one per key is the latest run.
+export const latestByResultKey = (grouped) => Object.fromEntries(
+  Object.entries(grouped).map(([key, snapshots]) => [key, snapshots[snapshots.length - 1]])
+);
+
+// A baseline lookup by keyword and market; where a key repeats the later row wins.
+export const indexBaseline = (rows) => Object.fromEntries(rows
+  .filter(r => r && r.keyword && !r.error)
+  .map(r => [baselineKey(r), r]));
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// A trend needs the value on both sides, so a first run (or a baseline row
+// missing the value) has none rather than a trend of 0.
+const trend = (row, prev, key) => (prev && isNumber(prev[key]) && isNumber(row[key]) ? row[key] - prev[key] : null);
+
+export const trendsAgainst = (row, prev) => ({
+  popularityTrend: trend(row, prev, 'avgPopularity'),
+  supplyTrend: trend(row, prev, 'audiobooks')
+});
+
+export const failedRow = ({ keyword, market }, error) => ({
+  keyword,
+  market,
+  audiobooks: -1,
+  avgPopularity: null,
+  estimatedTrendsInterest: 0,
+  error: error.message,
+  timestamp: new Date().toLocaleDateString()
+});
+
+// `get(path, query, signal)` performs one Spotify Web API GET and resolves
+// with the parsed body. The web UI routes it through the /api proxy, the CLI
+// calls Spotify directly.
+export async function fetchAudiobooks(get, { keyword, market }, { deepSearch = false, maxPages = 4, signal } = {}) {
+  const marketQuery = market ? { market } : {};
+  const searchPage = (offset) => get('/search', { q: keyword, type: 'audiobook', limit: PAGE_SIZE, offset, ...marketQuery }, signal);
+  const first = await searchPage(0);
+  const total = first.audiobooks?.total || 0;
+  let items = (first.audiobooks?.items || []).filter(Boolean);
+
+  if (!deepSearch) return { total, items };
+
+  const limit = Math.min(total, maxPages * PAGE_SIZE);
+  for (let offset = PAGE_SIZE; offset < limit; offset += PAGE_SIZE) {
+    const page = await searchPage(offset);
+    const pageItems = (page.audiobooks?.items || []).filter(Boolean);
+    if (pageItems.length === 0) break;
+    items = items.concat(pageItems);
+  }
+
+  const ids = [...new Set(items.map(book => book.id))];
+  const hydrated = [];
+  for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+    const data = await get('/audiobooks', { ids: ids.slice(i, i + PAGE_SIZE).join(','), ...marketQuery }, signal);
+    hydrated.push(...(data.audiobooks || []).filter(Boolean));
+  }
+
+  return { total, items: hydrated };
+}
+
+export async function analyzeKeyword(get, job, prevResult, options = {}) {
+  const { total: count, items: audiobooks } = await fetchAudiobooks(get, job, options);
+
+  // Spotify audiobook objects carry no popularity; it stays null unless some
+  // books do have one, rather than standing in a made-up value.
+  const rated = audiobooks.filter(book => isNumber(book.popularity));
+  const avgPopularity = rated.length > 0
+    ? Math.round(rated.reduce((sum, book) => sum + book.popularity, 0) / rated.length)
+    : null;
+
+  const estimatedTrendsInterest = heuristicProvider.demandFor({ audiobooks: count }).demand;
+
+  return {
+    keyword: job.keyword,
+    market: job.market,
+    audiobooks: count,
+    avgPopularity,
+    estimatedTrendsInterest,
+    ...trendsAgainst({ audiobooks: count, avgPopularity }, prevResult),
+    ...computeCompetitionMetrics(audiobooks),
+    books: audiobooks.map(toBookSummary),
+    timestamp: new Date().toLocaleDateString(),
+    x: count,
+    size: avgPopularity === null ? null : avgPopularity * 2
+  };
+}
+
+// Batch runner over keyword × market jobs. `onRow(row, error)` receives
+// either the analysed row or a failed placeholder row plus the error.
+export function createResearchRunner({ get, jobs, baseline = {}, concurrency = 3, deepSearch = false, maxPages = 4, onRow, onStatus }) {
+  return createBatchRunner({
+    items: jobs,
+    concurrency,
+    worker: (job, { signal }) => analyzeKeyword(get, job, baseline[baselineKey(job)], { deepSearch, maxPages, signal }),
+    onResult: ({ item, value, error }) => onRow(value || failedRow(item, error), error),
+    onStatus
+  });
+}
+
+// Applies demand and the scoring model, producing the rows every export
+// format expects.
+export function scoreResults(results, { provider = heuristicProvider, model }) {
+  const analyzed = applyDemand(results, provider);
+  const scorer = createScorer(model, analyzed.filter(r => !r.error));
+
+  return analyzed.map(r => {
+    if (r.error) return { ...r, score: null };
+    const { score } = scorer(r);
+    return {
+      ...r,
+      demandSource: r.demandMatched === false ? 'unmatched' : provider.label,
+      score,
+      tier: score === null ? null : tierFor(score, model.tiers).label
+    };
+  });
+}
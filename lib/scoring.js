@@ -0,0 +1,125 @@
+export const SCORING_INPUTS = [
+  { key: 'demand', label: 'Demand', higherIsBetter: true },
+  { key: 'audiobooks', label: 'Supply', higherIsBetter: false },
+  { key: 'avgPopularity', label: 'Avg Popularity', higherIsBetter: true },
+  { key: 'popularityTrend', label: 'Popularity Trend', higherIsBetter: true },
+  { key: 'supplyTrend', label: 'Supply Trend', higherIsBetter: false },
+  { key: 'distinctAuthors', label: 'Authors', higherIsBetter: false },
+  { key: 'distinctPublishers', label: 'Publishers', higherIsBetter: false },
+  { key: 'topAuthorShare', label: 'Top Author %', higherIsBetter: false },
+  { key: 'medianChapters', label: 'Median Chapters', higherIsBetter: false },
+  { key: 'medianAgeDays', label: 'Median Age (days)', higherIsBetter: true },
+  { key: 'recentShare', label: 'Released <1y %', higherIsBetter: false }
+];
+
+export const NORMALISATIONS = ['linear', 'log', 'percentile'];
+
+const DEFAULT_TIERS = [
+  { label: 'High', min: 50, color: '#22c55e' },
+  { label: 'Medium', min: 20, color: '#f59e0b' },
+  { label: 'Low', min: null, color: '#ef4444' }
+];
+
+const weights = (overrides) => SCORING_INPUTS.map(input => ({
+  key: input.key,
+  weight: overrides[input.key] || 0,
+  higherIsBetter: input.higherIsBetter
+}));
+
+export const BUILT_IN_PRESETS = [
+  {
+    name: 'Classic ratio',
+    builtIn: true,
+    formula: 'ratio',
+    normalisation: 'linear',
+    inputs: weights({ demand: 1, audiobooks: 1 }),
+    tiers: DEFAULT_TIERS
+  },
+  {
+    name: 'Balanced',
+    builtIn: true,
+    formula: 'weighted',
+    normalisation: 'percentile',
+    inputs: weights({ demand: 3, audiobooks: 2, avgPopularity: 1, popularityTrend: 1, supplyTrend: 1, topAuthorShare: 1 }),
+    tiers: DEFAULT_TIERS
+  }
+];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const signedLog = (value) => Math.sign(value) * Math.log1p(Math.abs(value));
+
+// Maps each input onto 0..1 across the rows being compared, so weights are
+// comparable between metrics with very different ranges.
+function createNormaliser(values, method) {
+  if (method === 'percentile') {
+    const sorted = [...values].sort((a, b) => a - b);
+    return (value) => {
+      if (sorted.length < 2) return 0.5;
+      const below = sorted.filter(v => v < value).length;
+      const equal = sorted.filter(v => v === value).length;
+      return (below + (equal - 1) / 2) / (sorted.length - 1);
+    };
+  }
+
+  const transform = method === 'log' ? signedLog : (v) => v;
+  const transformed = values.map(transform);
+  const min = Math.min(...transformed);
+  const max = Math.max(...transformed);
+  return (value) => (max === min ? 0.5 : (transform(value) - min) / (max - min));
+}
+
+function ratioScorer() {
+  return (row) => {
+    if (!isNumber(row.demand)) return { score: null, breakdown: [] };
+    const score = Math.round(row.demand / (row.audiobooks + 1) * 100);
+    return {
+      score,
+      breakdown: [
+        { key: 'demand', label: 'Demand', value: row.demand },
+        { key: 'audiobooks', label: 'Supply + 1', value: row.audiobooks + 1 },
+        { key: 'ratio', label: 'Demand / (Supply + 1) × 100', contribution: score }
+      ]
+    };
+  };
+}
+
+function weightedScorer(model, rows) {
+  const active = model.inputs.filter(input => input.weight !== 0);
+  const normalisers = Object.fromEntries(active.map(input => [
+    input.key,
+    createNormaliser(rows.map(row => row[input.key]).filter(isNumber), model.normalisation)
+  ]));
+
+  return (row) => {
+    const present = active.filter(input => isNumber(row[input.key]));
+    const totalWeight = present.reduce((sum, input) => sum + Math.abs(input.weight), 0);
+    if (totalWeight === 0 || !isNumber(row.demand)) return { score: null, breakdown: [] };
+
+    const breakdown = present.map(input => {
+      const normalised = normalisers[input.key](row[input.key]);
+      const oriented = input.higherIsBetter ? normalised : 1 - normalised;
+      const label = SCORING_INPUTS.find(i => i.key === input.key)?.label || input.key;
+      return {
+        key: input.key,
+        label,
+        value: row[input.key],
+        normalised: Math.round(oriented * 100) / 100,
+        weight: input.weight,
+        contribution: Math.round((oriented * Math.abs(input.weight) / totalWeight) * 1000) / 10
+      };
+    });
+
+    const score = Math.round(breakdown.reduce((sum, part) => sum + part.contribution, 0));
+    return { score, breakdown };
+  };
+}
+
+export function createScorer(model, rows) {
+  return model.formula === 'ratio' ? ratioScorer() : weightedScorer(model, rows);
+}
+
+export function tierFor(score, tiers) {
+  const ranked = [...tiers].sort((a, b) => (b.min ?? -Infinity) - (a.min ?? -Infinity));
+  return ranked.find(tier => tier.min === null || tier.min === undefined || score > tier.min) || ranked[ranked.length - 1];
+}
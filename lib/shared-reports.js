@@ -0,0 +1,43 @@
+// Reports shared from this browser, keyed by report id, so their delete
+// tokens survive a reload. Expired entries are dropped as they are read.
+// Storage that is unavailable (private mode, blocked) just forgets.
+const STORAGE_KEY = 'audiobook-research:shared-reports';
+
+const isExpired = (report) => report.expiresAt !== null && Date.parse(report.expiresAt) <= Date.now();
+
+function readAll() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    return Object.fromEntries(Object.entries(stored).filter(([, report]) => !isExpired(report)));
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeAll(reports) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(reports));
+  } catch (error) {
+    // Not persisted; the token still works until the page is closed.
+  }
+}
+
+// `shared` is the POST /api/reports response: `{ id, url, expiresAt, deleteToken }`.
+export function rememberSharedReport(shared) {
+  writeAll({ ...readAll(), [shared.id]: shared });
+}
+
+export function forgetSharedReport(id) {
+  const { [id]: removed, ...rest } = readAll();
+  writeAll(rest);
+}
+
+export const knownSharedReport = (id) => readAll()[id] || null;
+
+// Deletes a report with its stored token and forgets it. A report that is
+// already gone counts as deleted.
+export async function unshareReport({ id, deleteToken }) {
+  const response = await fetch(`/api/reports?id=${encodeURIComponent(id)}&token=${encodeURIComponent(deleteToken)}`, { method: 'DELETE' });
+  if (!response.ok && response.status !== 404) throw new Error(`Reports API error: ${response.status}`);
+  forgetSharedReport(id);
+}
@@ -0,0 +1,35 @@
+// Kept apart from spotify.js so the browser can import it without pulling
+// in the server-side token and fixture code.
+export class SpotifyError extends Error {
+  constructor(message, status, retryAfter) {
+    super(message);
+    this.name = 'SpotifyError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The token endpoint refused the client ID and secret.
+export class SpotifyAuthError extends SpotifyError {
+  constructor(message, status) {
+    super(message, status);
+    this.name = 'SpotifyAuthError';
+  }
+}
+
+// Bad credentials fail every request the same way, so a run stops at the
+// first one instead of failing keyword by keyword.
+export const isAuthError = (error) => error instanceof SpotifyAuthError
+  || (error instanceof SpotifyError && error.status === 401);
+
+// fetch() that reports a network failure as a SpotifyError without a status,
+// which the batch runner retries; other errors thrown by a worker are bugs
+// and fail the item straight away.
+export async function networkFetch(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new SpotifyError(`Network error: ${error.message}`);
+  }
+}
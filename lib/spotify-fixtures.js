@@ -0,0 +1,33 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const defaultFixtureDir = () => path.join(process.env.RESEARCH_DATA_DIR || path.join(process.cwd(), 'data'), 'fixtures');
+
+// Parameter order differs between callers, so the key sorts it; values are
+// compared as the strings that end up in the URL.
+export const fixtureKey = (apiPath, query = {}) => {
+  const params = Object.keys(query).sort().map(name => [name, String(query[name])]);
+  return `${apiPath}?${new URLSearchParams(params)}`;
+};
+
+const fixtureFile = (dir, apiPath, query) => {
+  const hash = crypto.createHash('sha1').update(fixtureKey(apiPath, query)).digest('hex').slice(0, 16);
+  return path.join(dir, `${apiPath.replace(/^\/+/, '').replace(/\W+/g, '-') || 'root'}-${hash}.json`);
+};
+
+export async function recordFixture(dir, apiPath, query, body) {
+  await fs.mkdir(dir, { recursive: true });
+  const fixture = { request: fixtureKey(apiPath, query), recordedAt: new Date().toISOString(), body };
+  await fs.writeFile(fixtureFile(dir, apiPath, query), JSON.stringify(fixture, null, 2));
+}
+
+export async function readFixture(dir, apiPath, query) {
+  try {
+    const fixture = JSON.parse(await fs.readFile(fixtureFile(dir, apiPath, query), 'utf8'));
+    return fixture.body;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
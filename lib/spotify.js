@@ -0,0 +1,119 @@
+import { SpotifyError, SpotifyAuthError, isAuthError, networkFetch } from './spotify-error.js';
+import { recordFixture } from './spotify-fixtures.js';
+
+export { SpotifyError, SpotifyAuthError, isAuthError };
+
+const DEFAULT_ACCOUNTS_URL = 'https://accounts.spotify.com';
+const DEFAULT_API_URL = 'https://api.spotify.com/v1';
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+const tokens = new Map();
+// Token requests in flight, so concurrent callers share one refresh.
+const pendingTokens = new Map();
+
+// Both base URLs can point at the local stand-in (bin/spotify-stand-in.mjs)
+// to run without network access or real credentials.
+const accountsUrl = () => `${(process.env.SPOTIFY_ACCOUNTS_URL || DEFAULT_ACCOUNTS_URL).replace(/\/$/, '')}/api/token`;
+const apiUrl = () => (process.env.SPOTIFY_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+
+// With SPOTIFY_RECORD_DIR set, successful responses are written there as
+// fixtures the stand-in can replay. Recording is best-effort: a write that
+// fails is logged (once per process) and the response is still returned.
+let recordFailed = false;
+
+async function record(apiPath, query, body) {
+  const dir = process.env.SPOTIFY_RECORD_DIR;
+  if (!dir) return;
+  try {
+    await recordFixture(dir, apiPath, query, body);
+  } catch (error) {
+    if (!recordFailed) console.warn(`Could not record Spotify fixtures in ${dir}: ${error.message}`);
+    recordFailed = true;
+  }
+}
+
+// An override replaces the configured credentials only as a pair, so the
+// server's secret is never sent along with a caller's client ID.
+export function resolveCredentials(override = {}) {
+  const { clientId, clientSecret } = override.clientId && override.clientSecret
+    ? override
+    : { clientId: process.env.SPOTIFY_CLIENT_ID, clientSecret: process.env.SPOTIFY_CLIENT_SECRET };
+  return clientId && clientSecret ? { clientId, clientSecret } : null;
+}
+
+export function credentialsFromHeaders(headers = {}) {
+  return resolveCredentials({
+    clientId: headers['x-spotify-client-id'],
+    clientSecret: headers['x-spotify-client-secret']
+  });
+}
+
+export async function requestToken({ clientId, clientSecret }) {
+  const response = await networkFetch(accountsUrl(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: `grant_type=client_credentials&client_id=${encodeURIComponent(clientId)}&client_secret=${encodeURIComponent(clientSecret)}`
+  });
+
+  if (response.status === 400 || response.status === 401) {
+    throw new SpotifyAuthError('Spotify auth failed', response.status);
+  }
+  if (!response.ok) {
+    throw new SpotifyError('Spotify auth failed', response.status);
+  }
+
+  const data = await response.json();
+  await record('/token', {}, { ...data, access_token: 'recorded-token' });
+  return data;
+}
+
+export async function getAccessToken(credentials, { force = false } = {}) {
+  const key = `${accountsUrl()}|${credentials.clientId}:${credentials.clientSecret}`;
+  const cached = tokens.get(key);
+
+  if (!force && cached && cached.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return cached;
+  }
+
+  if (!pendingTokens.has(key)) {
+    const pending = requestToken(credentials)
+      .then(data => {
+        const token = {
+          accessToken: data.access_token,
+          expiresAt: Date.now() + data.expires_in * 1000
+        };
+        tokens.set(key, token);
+        return token;
+      })
+      .finally(() => pendingTokens.delete(key));
+    pendingTokens.set(key, pending);
+  }
+  return pendingTokens.get(key);
+}
+
+export async function spotifyGet(path, query, credentials) {
+  const url = `${apiUrl()}${path}?${new URLSearchParams(query)}`;
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { accessToken } = await getAccessToken(credentials, { force: attempt > 0 });
+    const response = await networkFetch(url, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (response.status === 401 && attempt === 0) continue;
+
+    if (!response.ok) {
+      const retryAfter = response.headers.get('retry-after');
+      throw new SpotifyError(`API error: ${response.status}`, response.status, retryAfter ? Number(retryAfter) : undefined);
+    }
+
+    const data = await response.json();
+    await record(path, query, data);
+    return data;
+  }
+}
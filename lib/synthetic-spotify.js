@@ -0,0 +1,143 @@
+// Deterministic stand-ins for Spotify search and audiobook responses. The
+// same seed, keyword and market always produce the same catalogue, so runs
+// against the stand-in are reproducible.
+
+const FIRST_NAMES = ['Ada', 'Ben', 'Clara', 'Dev', 'Elena', 'Felix', 'Grace', 'Hugo', 'Iris', 'Jonas', 'Kira', 'Leo', 'Maya', 'Nils', 'Olivia', 'Priya', 'Quinn', 'Rosa', 'Sam', 'Theo'];
+const LAST_NAMES = ['Adler', 'Brooks', 'Castillo', 'Doyle', 'Eriksen', 'Fischer', 'Garcia', 'Hale', 'Ito', 'Jensen', 'Khan', 'Lindqvist', 'Moreau', 'Novak', 'Okafor', 'Park', 'Reyes', 'Schmidt', 'Tanaka', 'Walsh'];
+const PUBLISHERS = ['Northlight Audio', 'Harbor House', 'Blue Fern Media', 'Atlas Listening', 'Quill & Voice', 'Meridian Audio', 'Indie Narration Co.'];
+const TITLE_PATTERNS = [
+  (topic) => topic,
+  (topic) => `${topic}: A Beginner's Guide`,
+  (topic) => `The Art of ${topic}`,
+  (topic) => `${topic} Made Simple`,
+  (topic) => `Mastering ${topic}`,
+  (topic) => `The ${topic} Handbook`,
+  (topic) => `${topic} for Everyone`,
+  (topic) => `Secrets of ${topic}`,
+  (topic) => `${topic}: The Complete Series`
+];
+const GERMAN_MARKETS = ['DE', 'AT', 'CH'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPOCH = Date.parse('2025-01-01');
+
+// FNV-1a, enough to spread seeds across the generator's state.
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32
+const createRandom = (...parts) => {
+  let state = hashString(parts.join('\u0000'));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+const between = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+const titleCase = (text) => text.replace(/\b\w/g, c => c.toUpperCase());
+
+const personName = (seed, pool, index) => {
+  const random = createRandom(seed, pool, index);
+  return `${pick(random, FIRST_NAMES)} ${pick(random, LAST_NAMES)}`;
+};
+
+// Per-keyword traits: how crowded the niche is and how concentrated
+// authorship is.
+const keywordProfile = (seed, keyword, market) => {
+  const random = createRandom(seed, 'profile', keyword.toLowerCase(), market);
+  return {
+    total: Math.round(1000 * random() ** 2.5),
+    authorPool: between(random, 2, 40),
+    narratorPool: between(random, 3, 25)
+  };
+};
+
+const encodeId = (keyword, market, index) => Buffer.from(`${keyword}\n${market}\n${index}`).toString('base64url');
+
+const decodeId = (id) => {
+  const [keyword, market, index] = Buffer.from(String(id), 'base64url').toString().split('\n');
+  return keyword && Number.isInteger(Number(index)) ? { keyword, market, index: Number(index) } : null;
+};
+
+function syntheticBook(seed, keyword, market, index, { full = false } = {}) {
+  const random = createRandom(seed, 'book', keyword.toLowerCase(), market, index);
+  const profile = keywordProfile(seed, keyword, market);
+  const id = encodeId(keyword, market, index);
+  const authorIndex = Math.floor(random() ** 2 * profile.authorPool);
+  const totalChapters = between(random, 4, 80);
+  const released = EPOCH - Math.floor(random() ** 1.5 * 10 * 365) * DAY_MS;
+  const german = GERMAN_MARKETS.includes(market) && random() < 0.7;
+
+  const book = {
+    id,
+    type: 'audiobook',
+    uri: `spotify:audiobook:${id}`,
+    name: pick(random, TITLE_PATTERNS)(titleCase(keyword)),
+    authors: [{ name: personName(seed, `author:${keyword}`, authorIndex) }],
+    narrators: [{ name: personName(seed, `narrator:${keyword}`, between(random, 0, profile.narratorPool)) }],
+    publisher: pick(random, PUBLISHERS),
+    languages: [german ? 'German' : 'English'],
+    edition: random() < 0.85 ? 'Unabridged' : 'Abridged',
+    media_type: 'audio',
+    explicit: false,
+    total_chapters: totalChapters,
+    images: [],
+    external_urls: { spotify: `https://open.spotify.com/audiobook/${id}` }
+  };
+  if (!full) return book;
+
+  const chapterMinutes = between(random, 8, 45);
+  return {
+    ...book,
+    chapters: {
+      total: totalChapters,
+      items: Array.from({ length: Math.min(totalChapters, 50) }, (_, i) => ({
+        id: `${id}-${i + 1}`,
+        name: `Chapter ${i + 1}`,
+        duration_ms: (chapterMinutes + between(random, -5, 5)) * 60000,
+        release_date: new Date(released).toISOString().split('T')[0]
+      }))
+    }
+  };
+}
+
+export function syntheticSearch({ q = '', market = '', limit = 20, offset = 0 }, seed = 'seed') {
+  const keyword = String(q).trim();
+  const { total } = keywordProfile(seed, keyword, market);
+  const pageLimit = Math.max(1, Math.min(50, Number(limit) || 20));
+  const pageOffset = Math.max(0, Number(offset) || 0);
+  const end = Math.min(total, pageOffset + pageLimit);
+  const items = [];
+  for (let index = pageOffset; index < end; index++) items.push(syntheticBook(seed, keyword, market, index));
+
+  return {
+    audiobooks: {
+      limit: pageLimit,
+      offset: pageOffset,
+      total,
+      next: end < total ? `offset=${end}` : null,
+      previous: pageOffset > 0 ? `offset=${Math.max(0, pageOffset - pageLimit)}` : null,
+      items
+    }
+  };
+}
+
+// Unknown ids come back as null entries, as they do from Spotify.
+export function syntheticAudiobooks({ ids = '' }, seed = 'seed') {
+  return {
+    audiobooks: String(ids).split(',').filter(Boolean).map(id => {
+      const decoded = decodeId(id);
+      return decoded ? syntheticBook(seed, decoded.keyword, decoded.market, decoded.index, { full: true }) : null;
+    })
+  };
+}
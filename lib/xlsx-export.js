@@ -0,0 +1,12 @@
+import writeXlsxFile from 'write-excel-file/universal';
+import { summaryTable, detailTable } from './export.js';
+
+// Workbook with a summary sheet (one row per keyword and market) and a
+// detail sheet listing every audiobook each keyword returned. Resolves with
+// a Blob, which the browser downloads as is and the CLI turns into a Buffer.
+export function toXLSXExport(run) {
+  return writeXlsxFile([
+    { sheet: 'Summary', data: summaryTable(run) },
+    { sheet: 'Audiobooks', data: detailTable(run) }
+  ]).toBlob();
+}